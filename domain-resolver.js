@@ -1,53 +1,81 @@
 const { ethers } = require('ethers');
 const path = require('path');
+const Store = require('electron-store');
+const { app } = require('electron');
+
+// Record keys the resolver itself interprets. Which keys a token has comes from an index of RecordSet
+// logs; until that index has caught up with the chain these are read as well, so resolution keeps working
+const CONTENT_RECORD_KEYS = ['url', 'website', 'ipfs', 'ip', 'ipv4', 'ipv6', 'content', 'forward-path', 'subdomains'];
+
+// Each subdomain label has its own record holding a url, ipfs, ip or content target,
+// e.g. shop.brand.guap reads 'subdomain:shop' on brand.guap
+const SUBDOMAIN_RECORD_PREFIX = 'subdomain:';
+
+// Cached lookups older than this are served stale and refreshed in the background;
+// contract events invalidate changed domains long before this matters
+const CACHE_TTL = 60 * 60 * 1000;
+
+// Bumped when cached entries gain fields, so older persisted entries are discarded
+const CACHE_VERSION = 4;
+
+// Most domains kept in the persisted cache
+const MAX_CACHED_DOMAINS = 500;
+
+// How often contract logs are polled for record, transfer and blacklist changes
+const EVENT_POLL_INTERVAL = 30000;
+
+// Log ranges are fetched in chunks; when further behind than the lookback, everything goes stale
+const EVENT_LOG_CHUNK = 5000;
+const EVENT_LOG_LOOKBACK = 50000;
+
+// Block the registry proxy was deployed in; the record key index never reads logs from before it
+const REGISTRY_DEPLOYMENT_BLOCK = 0;
+
+// Primary names for addresses are remembered this long (in memory only)
+const REVERSE_CACHE_TTL = 10 * 60 * 1000;
+
+// Events that change what a domain resolves to
+const INVALIDATING_EVENTS = [
+  'RecordSet', 'DomainTransferred', 'DomainBlacklisted', 'Transfer',
+  'AddressBlacklisted', 'AddressUnblacklisted'
+];
 
 class EBDomainResolver {
-  constructor() {
-    // Guapcoin X RPC endpoints
-    this.primaryRpc = 'https://rpc-mainnet.guapcoinx.com';
-    this.fallbackRpc = 'https://rpc-mainnet-2.guapcoinx.com';
-    
-    // Initialize provider with primary RPC
-    this.initializeProvider();
+  constructor(rpcPool) {
+    // GuapcoinX RPC pool shared with the wallet; it handles failover between endpoints
+    this.provider = rpcPool.provider;
     
     // V7 Contract configuration
     this.contractAddress = '0xcDfA7c728Bd1167279b2D60B7380AF02BDC1E878';
     this.contractABI = require('./v7_abi.json');
+    this.contract = new ethers.Contract(this.contractAddress, this.contractABI, this.provider);
     
-    // Cache resolved domains
-    this.cache = new Map();
-  }
-  
-  async initializeProvider() {
-    try {
-      // Try primary RPC first
-      this.provider = new ethers.JsonRpcProvider(this.primaryRpc);
-      await this.provider.getBlockNumber();
-      console.log('EBDomainResolver: Connected to primary RPC');
-    } catch (error) {
-      console.error('EBDomainResolver: Primary RPC failed, trying fallback...', error.message);
-      try {
-        // Try fallback RPC
-        this.provider = new ethers.JsonRpcProvider(this.fallbackRpc);
-        await this.provider.getBlockNumber();
-        console.log('EBDomainResolver: Connected to fallback RPC');
-      } catch (fallbackError) {
-        console.error('EBDomainResolver: Both RPCs failed', fallbackError.message);
-        throw fallbackError;
-      }
-    }
+    // Top-level domains served by the contract
+    this.tlds = ['.guap', '.hbcu'];
     
-    // Initialize contract with the working provider
-    this.contract = new ethers.Contract(
-      this.contractAddress,
-      this.contractABI,
-      this.provider
-    );
-  }
+    // Resolved domains, persisted so lookups are instant after a restart
+    this.store = new Store({
+      name: 'eb-domain-cache',
+      cwd: app.getPath('userData')
+    });
+    if (this.store.get('version') !== CACHE_VERSION) {
+      this.store.clear();
+      this.store.set('version', CACHE_VERSION);
+    }
+    this.cache = new Map(Object.entries(this.store.get('domains', {})));
+    this.pending = new Map();
+    this.reverseCache = new Map();
+    this.reversePending = new Map();
+    this.eventTimer = null;
+    this.pollingEvents = false;
 
+    // Record keys per token ID, built from every RecordSet log since the contract was deployed
+    this.recordKeys = new Map(Object.entries(this.store.get('recordKeys', {})).map(([id, keys]) => [id, new Set(keys)]));
+    this.recordKeysSynced = false;
+  }
+  
   // Check if URL is an EB domain
   isEBDomain(url) {
-    const ebTLDs = ['.guap', '.hbcu'];
     // Remove protocol if present
     let cleanUrl = url;
     if (url.startsWith('https://') || url.startsWith('http://')) {
@@ -55,7 +83,7 @@ class EBDomainResolver {
     }
     // Remove path if present
     cleanUrl = cleanUrl.split('/')[0];
-    return ebTLDs.some(tld => cleanUrl.endsWith(tld));
+    return this.tlds.some(tld => cleanUrl.endsWith(tld));
   }
 
   // Extract domain parts
@@ -72,10 +100,12 @@ class EBDomainResolver {
     const [, domain, path = '/'] = match;
     const parts = domain.split('.');
     
+    // The label before the TLD is the registered name; anything in front of it is a subdomain
     if (parts.length >= 2) {
       const tld = '.' + parts[parts.length - 1];
-      const name = parts.slice(0, -1).join('.');
-      return { name, tld, path, fullDomain: `${name}${tld}` };
+      const name = parts[parts.length - 2];
+      const subdomain = parts.length > 2 ? parts.slice(0, -2).join('.') : null;
+      return { name, tld, subdomain, path, fullDomain: `${name}${tld}`, host: domain };
     }
     
     return null;
@@ -90,83 +120,111 @@ class EBDomainResolver {
     const domainInfo = this.parseDomain(url);
     if (!domainInfo) return null;
 
-    // Check cache first
-    const cacheKey = domainInfo.fullDomain;
-    if (this.cache.has(cacheKey)) {
-      return this.cache.get(cacheKey);
+    // Serve cached results instantly; stale ones are refreshed in the background
+    const cached = this.cache.get(domainInfo.host.toLowerCase());
+    if (cached) {
+      if (Date.now() - cached.fetchedAt > CACHE_TTL) {
+        this.lookupDomain(domainInfo);
+      }
+      return this.fromCacheEntry(cached, domainInfo.path);
     }
 
+    return this.lookupDomain(domainInfo);
+  }
+
+  // Fetch a domain from the contract and update the cache (concurrent lookups share one fetch)
+  lookupDomain(domainInfo) {
+    const cacheKey = domainInfo.host.toLowerCase();
+    if (!this.pending.has(cacheKey)) {
+      const fetched = this.fetchDomain(domainInfo).then(data =>
+        data.error || !domainInfo.subdomain ? data : this.fetchSubdomain(data, domainInfo)
+      );
+      const lookup = fetched.then(data => {
+        if (data.error) {
+          // Only a definite answer clears the cache; RPC errors keep serving the last result
+          if (data.error === 'Domain not registered' || data.error === 'Subdomain not configured') {
+            this.invalidate(cacheKey);
+          }
+          return data;
+        }
+
+        this.cacheDomain(cacheKey, data);
+        return data;
+      }).finally(() => this.pending.delete(cacheKey));
+
+      this.pending.set(cacheKey, lookup);
+    }
+
+    return this.pending.get(cacheKey).then(data =>
+      data.error ? data : { ...data, registeredAt: new Date(data.registeredAt), path: domainInfo.path }
+    );
+  }
+
+  // Read a domain's token, info and records from the contract
+  async fetchDomain(domainInfo) {
     try {
-      // Ensure provider is initialized
-      if (!this.provider || !this.contract) {
-        await this.initializeProvider();
-      }
-      // Get token ID first
-      const tokenId = await this.contract.tokenIdByDomain(domainInfo.fullDomain);
+      const started = Date.now();
+      let roundTrips = 1;
       
-      // Check if domain exists - but also check if tokenId is valid
-      // Since tokenId 0 might be valid, we'll also verify by getting domain info
-      const exists = await this.contract.domainExists(domainInfo.fullDomain);
+      // Token ID and existence in one batch
+      const [tokenId, exists] = await Promise.all([
+        this.contract.tokenIdByDomain(domainInfo.fullDomain),
+        this.contract.domainExists(domainInfo.fullDomain)
+      ]);
       
-      // If domainExists returns false but we have a tokenId, try to get domain info
-      if (!exists && tokenId !== undefined) {
+      let info;
+      let records;
+      let domainBlacklisted;
+      if (exists) {
+        // Domain info and every record in a second batch
+        roundTrips++;
+        [info, records, domainBlacklisted] = await Promise.all([
+          this.contract.getDomainInfo(tokenId),
+          this.getRecords(tokenId),
+          this.contract.blacklistedDomains(tokenId)
+        ]);
+      } else {
+        // domainExists can disagree with the token index (token 0 is valid),
+        // so confirm against the token's own info before giving up
+        roundTrips++;
         try {
-          const [name, tld, owner, registeredAt] = await this.contract.getDomainInfo(tokenId);
-          // If we can get domain info, verify it matches the requested domain
-          const retrievedDomain = `${name}${tld}`;
-          if (retrievedDomain.toLowerCase() === domainInfo.fullDomain.toLowerCase() && 
-              owner !== '0x0000000000000000000000000000000000000000') {
-            // Continue with resolution - domain exists
-          } else {
-            return { error: 'Domain not registered' };
-          }
+          info = await this.contract.getDomainInfo(tokenId);
         } catch (e) {
           return { error: 'Domain not registered' };
         }
-      } else if (!exists) {
-        return { error: 'Domain not registered' };
+        
+        const retrievedDomain = `${info[0]}${info[1]}`;
+        if (retrievedDomain.toLowerCase() !== domainInfo.fullDomain.toLowerCase() ||
+            info[2] === ethers.ZeroAddress) {
+          return { error: 'Domain not registered' };
+        }
+        
+        roundTrips++;
+        [records, domainBlacklisted] = await Promise.all([
+          this.getRecords(tokenId),
+          this.contract.blacklistedDomains(tokenId)
+        ]);
       }
       
-      // Get domain info
-      const [name, tld, owner, registeredAt] = await this.contract.getDomainInfo(tokenId);
+      const [, , owner, registeredAt] = info;
       
-      // Get records (website, ipfs, etc.)
-      const records = {};
-      // Check for all possible record types the contract might support
-      const recordTypes = ['url', 'website', 'ipfs', 'ip', 'ipv4', 'ipv6', 'description', 'social', 'content'];
+      // A blacklisted owner taints every domain they hold
+      roundTrips++;
+      const ownerBlacklisted = await this.contract.blacklistedAddresses(owner);
       
-      for (const recordType of recordTypes) {
-        try {
-          const value = await this.contract.getRecord(tokenId, recordType);
-          if (value) {
-            records[recordType] = value;
-            // If we found 'url', also set it as 'website' for compatibility
-            if (recordType === 'url' && !records.website) {
-              records.website = value;
-            }
-            // If we found 'ip' or 'ipv4', normalize to 'ip'
-            if ((recordType === 'ipv4' || recordType === 'ip') && value) {
-              records.ip = value;
-            }
-          }
-        } catch (e) {
-          // Record doesn't exist - silent fail
-        }
-      }
+      const timing = { ms: Date.now() - started, roundTrips };
+      console.log(`EBDomainResolver: Resolved ${domainInfo.fullDomain} in ${timing.ms}ms (${roundTrips} RPC round trips)`);
 
       const result = {
         domain: domainInfo.fullDomain,
         owner,
         tokenId: tokenId.toString(),
-        registeredAt: new Date(Number(registeredAt) * 1000),
+        registeredAt: new Date(Number(registeredAt) * 1000).toISOString(),
         records,
-        path: domainInfo.path
+        blacklisted: domainBlacklisted ? 'domain' : (ownerBlacklisted ? 'owner' : null),
+        timing
       };
 
-      // Cache for 5 minutes
-      this.cache.set(cacheKey, result);
-      setTimeout(() => this.cache.delete(cacheKey), 5 * 60 * 1000);
-
       return result;
     } catch (error) {
       console.error('Domain resolution error:', error);
@@ -174,6 +232,447 @@ class EBDomainResolver {
     }
   }
 
+  // Replace a registered domain's records with those of one of its subdomains
+  async fetchSubdomain(data, domainInfo) {
+    const started = Date.now();
+    const subdomain = domainInfo.subdomain.toLowerCase();
+
+    let target = '';
+    try {
+      target = await this.contract.getRecord(data.tokenId, `${SUBDOMAIN_RECORD_PREFIX}${subdomain}`);
+    } catch (error) {
+      return { error: error.message };
+    }
+    if (!target) {
+      return { error: 'Subdomain not configured' };
+    }
+
+    return {
+      ...data,
+      domain: domainInfo.host.toLowerCase(),
+      registeredDomain: data.domain,
+      subdomain,
+      // Path forwarding is a setting of the whole domain
+      records: data.records['forward-path']
+        ? { ...this.parseRecordTarget(target), 'forward-path': data.records['forward-path'] }
+        : this.parseRecordTarget(target),
+      timing: { ms: data.timing.ms + Date.now() - started, roundTrips: data.timing.roundTrips + 1 }
+    };
+  }
+
+  // Records for a single target value: a web address, ipfs:// or ipns:// path, IP address, or inline content
+  parseRecordTarget(value) {
+    const target = value.trim();
+    if (/^https?:\/\//i.test(target)) {
+      return { url: target, website: target };
+    }
+    if (/^ip[fn]s:\/\//i.test(target) || /^(Qm[1-9A-HJ-NP-Za-km-z]{44}|b[a-z2-7]{58,})(\/|$)/.test(target)) {
+      return { ipfs: target };
+    }
+    if (/^(\d{1,3}\.){3}\d{1,3}$/.test(target) || (/^[0-9a-fA-F:]+$/.test(target) && target.includes(':'))) {
+      return { ip: target };
+    }
+    return { content: target };
+  }
+
+  // Subdomain labels listed in a domain's 'subdomains' record
+  getSubdomainLabels(records) {
+    return (records.subdomains || '')
+      .split(',')
+      .map(label => label.trim().toLowerCase())
+      .filter(Boolean);
+  }
+
+  // Whether request paths are appended to a domain's url record (off unless 'forward-path' is true)
+  forwardsPath(records) {
+    return /^(true|1|yes|on)$/i.test((records['forward-path'] || '').trim());
+  }
+
+  // Append a requested path, with its query and fragment, to a url record that may have its own
+  appendPath(url, path) {
+    const target = new URL(url);
+    const requested = new URL(path, target);
+    target.pathname = `${target.pathname.replace(/\/+$/, '')}${requested.pathname}`;
+    requested.searchParams.forEach((value, key) => target.searchParams.append(key, value));
+    if (requested.hash) {
+      target.hash = requested.hash;
+    }
+    return target.toString();
+  }
+
+  // Keys a token has records for; subdomain targets are read separately, per label
+  getRecordKeys(tokenId) {
+    const indexed = [...(this.recordKeys.get(tokenId.toString()) || [])]
+      .filter(key => !key.startsWith(SUBDOMAIN_RECORD_PREFIX));
+    return this.recordKeysSynced ? indexed : [...new Set([...CONTENT_RECORD_KEYS, ...indexed])];
+  }
+
+  // Read every record a token has (issued together, so they share one batch)
+  async getRecords(tokenId) {
+    const keys = this.getRecordKeys(tokenId);
+    const values = await Promise.all(keys.map(key =>
+      this.contract.getRecord(tokenId, key).catch(() => '')
+    ));
+    
+    const records = {};
+    keys.forEach((key, index) => {
+      if (values[index]) {
+        records[key] = values[index];
+      }
+    });
+    
+    // Normalize aliases: 'url' doubles as 'website', 'ipv4' as 'ip'
+    if (records.url && !records.website) {
+      records.website = records.url;
+    }
+    if (records.ipv4 && !records.ip) {
+      records.ip = records.ipv4;
+    }
+    
+    return records;
+  }
+
+  // List the domains an address owns, with their records
+  async getOwnedDomains(owner) {
+    const tokenIds = await this.contract.getUserDomains(owner);
+    
+    // Info and records for every token go out together and share batches
+    const loaded = await Promise.all(tokenIds.map(async tokenId => {
+      try {
+        const [[name, tld, currentOwner, registeredAt], records] = await Promise.all([
+          this.contract.getDomainInfo(tokenId),
+          this.getRecords(tokenId)
+        ]);
+        // The per-user index can lag behind transfers, so confirm ownership
+        if (currentOwner.toLowerCase() !== owner.toLowerCase()) {
+          return null;
+        }
+        
+        // Targets for the subdomains the owner has listed
+        const labels = this.getSubdomainLabels(records);
+        const targets = await Promise.all(labels.map(label =>
+          this.contract.getRecord(tokenId, `${SUBDOMAIN_RECORD_PREFIX}${label}`).catch(() => '')
+        ));
+        const subdomains = {};
+        labels.forEach((label, index) => {
+          subdomains[label] = targets[index];
+        });
+        
+        return {
+          domain: `${name}${tld}`,
+          tokenId: tokenId.toString(),
+          owner: currentOwner,
+          registeredAt: new Date(Number(registeredAt) * 1000).toISOString(),
+          records,
+          subdomains
+        };
+      } catch (error) {
+        console.error(`Error loading domain token ${tokenId}:`, error.message);
+        return null;
+      }
+    }));
+    
+    const domains = loaded.filter(Boolean);
+    return domains;
+  }
+
+  // Primary name for an address: its oldest .guap domain, else its oldest domain.
+  // Blacklisted domains and blacklisted owners have no primary name.
+  async getPrimaryDomain(address) {
+    const key = address.toLowerCase();
+    const cached = this.reverseCache.get(key);
+    if (cached && Date.now() - cached.fetchedAt < REVERSE_CACHE_TTL) {
+      return cached.domain;
+    }
+
+    if (!this.reversePending.has(key)) {
+      const lookup = (async () => {
+        const [tokenIds, ownerBlacklisted] = await Promise.all([
+          this.contract.getUserDomains(address),
+          this.contract.blacklistedAddresses(address)
+        ]);
+
+        let domain = null;
+        if (!ownerBlacklisted && tokenIds.length > 0) {
+          const loaded = await Promise.all(tokenIds.map(tokenId => Promise.all([
+            this.contract.getDomainInfo(tokenId),
+            this.contract.blacklistedDomains(tokenId)
+          ]).catch(() => null)));
+
+          // The per-user index can lag behind transfers, so confirm ownership
+          const candidates = loaded
+            .filter(entry => entry && !entry[1] && entry[0][2].toLowerCase() === key)
+            .map(([[name, tld, , registeredAt]]) => ({ domain: `${name}${tld}`, tld, registeredAt: Number(registeredAt) }))
+            .sort((a, b) => (a.tld === '.guap' ? 0 : 1) - (b.tld === '.guap' ? 0 : 1) || a.registeredAt - b.registeredAt);
+          domain = candidates.length > 0 ? candidates[0].domain : null;
+        }
+
+        this.reverseCache.set(key, { domain, fetchedAt: Date.now() });
+        return domain;
+      })().finally(() => this.reversePending.delete(key));
+
+      this.reversePending.set(key, lookup);
+    }
+
+    return this.reversePending.get(key);
+  }
+
+  // Primary names for several addresses, keyed by lowercase address; lookups that fail map to null
+  async getPrimaryDomains(addresses) {
+    const unique = [...new Set(addresses.filter(Boolean).map(address => address.toLowerCase()))];
+    const names = await Promise.all(unique.map(address => this.getPrimaryDomain(address).catch(error => {
+      console.error(`EBDomainResolver: Reverse lookup failed for ${address}`, error.message);
+      return null;
+    })));
+
+    const result = {};
+    unique.forEach((address, index) => {
+      result[address] = names[index];
+    });
+    return result;
+  }
+
+  // Current owner of a domain, for sending funds to it. Always read fresh from the contract.
+  async resolveOwner(name) {
+    const cleanName = typeof name === 'string' ? name.trim().toLowerCase() : '';
+    if (!/^[a-z0-9-]+\.[a-z]+$/.test(cleanName) || !this.isEBDomain(cleanName)) {
+      throw new Error('Enter a domain like name.guap');
+    }
+
+    const domainInfo = this.parseDomain(cleanName);
+    const data = await this.lookupDomain(domainInfo);
+    if (data.error) {
+      throw new Error(data.error === 'Domain not registered' ? `${domainInfo.fullDomain} is not registered` : data.error);
+    }
+    if (data.blacklisted) {
+      throw new Error(`${domainInfo.fullDomain} is blacklisted and cannot receive funds`);
+    }
+
+    return { domain: domainInfo.fullDomain, address: data.owner };
+  }
+
+  // Validate a name and TLD for registration
+  normalizeRegistration(name, tld) {
+    const cleanName = typeof name === 'string' ? name.trim().toLowerCase() : '';
+    if (!/^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/.test(cleanName)) {
+      throw new Error('Domain names use 1-63 letters, numbers or hyphens and cannot start or end with a hyphen');
+    }
+    
+    const cleanTld = typeof tld === 'string' ? '.' + tld.trim().toLowerCase().replace(/^\./, '') : '';
+    if (!this.tlds.includes(cleanTld)) {
+      throw new Error(`Unsupported TLD: ${tld}`);
+    }
+    
+    return { name: cleanName, tld: cleanTld, fullDomain: `${cleanName}${cleanTld}` };
+  }
+
+  // Availability and GUAP price for registering a domain
+  async getRegistrationQuote(name, tld) {
+    const registration = this.normalizeRegistration(name, tld);
+    
+    const [exists, supported, isProtected, price, paymentToken] = await Promise.all([
+      this.contract.domainExists(registration.fullDomain),
+      this.contract.supportedTLDs(registration.tld),
+      this.contract.protectedBrands(registration.name),
+      this.contract.domainPricesGUAP(registration.tld),
+      this.contract.guapcoinAddress()
+    ]);
+    
+    return {
+      ...registration,
+      available: !exists,
+      supported,
+      protected: isProtected,
+      price,
+      // A zero token address means the price is paid in native GUAP
+      paymentToken: paymentToken === ethers.ZeroAddress ? null : paymentToken
+    };
+  }
+
+  // Cached entry in the shape resolveDomain returns
+  fromCacheEntry(entry, requestPath) {
+    return {
+      ...entry.data,
+      registeredAt: new Date(entry.data.registeredAt),
+      path: requestPath
+    };
+  }
+
+  // Store a lookup, evicting the oldest entries past the size limit
+  cacheDomain(cacheKey, data) {
+    this.cache.delete(cacheKey);
+    this.cache.set(cacheKey, { data, fetchedAt: Date.now() });
+
+    if (this.cache.size > MAX_CACHED_DOMAINS) {
+      const oldest = [...this.cache.entries()]
+        .sort((a, b) => a[1].fetchedAt - b[1].fetchedAt)
+        .slice(0, this.cache.size - MAX_CACHED_DOMAINS);
+      oldest.forEach(([key]) => this.cache.delete(key));
+    }
+
+    this.persistCache();
+  }
+
+  persistCache() {
+    this.store.set('domains', Object.fromEntries(this.cache));
+  }
+
+  // Drop a domain and its subdomains from the resolution cache (after its records change)
+  invalidate(domain) {
+    const key = domain.toLowerCase();
+    const keys = [...this.cache.keys()].filter(cached => cached === key || cached.endsWith(`.${key}`));
+    keys.forEach(cached => this.cache.delete(cached));
+    if (keys.length > 0) {
+      this.persistCache();
+    }
+  }
+
+  // Start polling contract logs so changed domains are dropped from the cache
+  startEventWatch() {
+    if (this.eventTimer) return;
+
+    this.eventTimer = setInterval(() => this.pollEvents(), EVENT_POLL_INTERVAL);
+    this.pollEvents();
+  }
+
+  stopEventWatch() {
+    clearInterval(this.eventTimer);
+    this.eventTimer = null;
+  }
+
+  // Replay invalidating events since the last block seen, then bring the record key index up to date
+  async pollEvents() {
+    if (this.pollingEvents) return;
+    this.pollingEvents = true;
+
+    try {
+      await this.replayEvents();
+      await this.syncRecordKeys();
+    } catch (error) {
+      console.error('EBDomainResolver: Event poll failed', error.message);
+    } finally {
+      this.pollingEvents = false;
+    }
+  }
+
+  // Replay invalidating events since the last block seen
+  async replayEvents() {
+    const latest = await this.provider.getBlockNumber();
+    const lastBlock = this.store.get('lastBlock', null);
+
+    // Too far behind to replay (or first run): refresh everything lazily instead
+    if (lastBlock === null || latest - lastBlock > EVENT_LOG_LOOKBACK) {
+      this.cache.forEach(entry => { entry.fetchedAt = 0; });
+      this.persistCache();
+      this.store.set('lastBlock', latest);
+      return;
+    }
+
+    const topics = [INVALIDATING_EVENTS.map(name => this.contract.interface.getEvent(name).topicHash)];
+    for (let fromBlock = lastBlock + 1; fromBlock <= latest; fromBlock += EVENT_LOG_CHUNK) {
+      const toBlock = Math.min(fromBlock + EVENT_LOG_CHUNK - 1, latest);
+      const logs = await this.provider.getLogs({ address: this.contractAddress, topics, fromBlock, toBlock });
+      logs.forEach(log => this.handleEventLog(log));
+      this.store.set('lastBlock', toBlock);
+    }
+  }
+
+  // Index RecordSet logs from the deployment block on; unlike invalidation this never skips a range
+  async syncRecordKeys() {
+    const latest = await this.provider.getBlockNumber();
+    const startBlock = this.store.get('recordKeysBlock', REGISTRY_DEPLOYMENT_BLOCK - 1) + 1;
+
+    // The index is written once per poll, with however far it got, rather than after every chunk
+    const topics = [this.contract.interface.getEvent('RecordSet').topicHash];
+    let indexedBlock = startBlock - 1;
+    let indexedLogs = 0;
+    try {
+      for (let fromBlock = startBlock; fromBlock <= latest; fromBlock += EVENT_LOG_CHUNK) {
+        const toBlock = Math.min(fromBlock + EVENT_LOG_CHUNK - 1, latest);
+        const logs = await this.provider.getLogs({ address: this.contractAddress, topics, fromBlock, toBlock });
+        indexedLogs += logs.length;
+        logs.forEach(log => {
+          const event = this.contract.interface.parseLog(log);
+          this.noteRecordKey(event.args.tokenId, event.args.key, event.args.value, false);
+        });
+        indexedBlock = toBlock;
+      }
+    } finally {
+      if (indexedBlock >= startBlock) {
+        this.persistRecordKeys(indexedBlock);
+      }
+    }
+
+    if (!this.recordKeysSynced) {
+      console.log(`EBDomainResolver: Record key index is up to date (${this.recordKeys.size} tokens)`);
+      this.recordKeysSynced = true;
+
+      // Domains cached while catching up may be missing keys found since; refresh them lazily
+      if (indexedLogs > 0) {
+        this.cache.forEach(entry => { entry.fetchedAt = 0; });
+        this.persistCache();
+      }
+    }
+  }
+
+  // Track that a token has (or, for an empty value, no longer has) a record key
+  noteRecordKey(tokenId, key, value, persist = true) {
+    const id = tokenId.toString();
+    const keys = this.recordKeys.get(id) || new Set();
+    if (value) {
+      keys.add(key);
+    } else {
+      keys.delete(key);
+    }
+
+    if (keys.size > 0) {
+      this.recordKeys.set(id, keys);
+    } else {
+      this.recordKeys.delete(id);
+    }
+    if (persist) {
+      this.persistRecordKeys();
+    }
+  }
+
+  persistRecordKeys(indexedBlock = null) {
+    this.store.set('recordKeys', Object.fromEntries([...this.recordKeys].map(([id, keys]) => [id, [...keys]])));
+    if (indexedBlock !== null) {
+      this.store.set('recordKeysBlock', indexedBlock);
+    }
+  }
+
+  // Invalidate the cached domain an event refers to
+  handleEventLog(log) {
+    let event;
+    try {
+      event = this.contract.interface.parseLog(log);
+    } catch (error) {
+      return;
+    }
+    if (!event) return;
+
+    // Transfers and blacklisting can change which name an address shows
+    if (event.name === 'DomainBlacklisted') {
+      this.reverseCache.clear();
+    }
+    [event.args.from, event.args.to, event.args.account]
+      .filter(Boolean)
+      .forEach(address => this.reverseCache.delete(address.toLowerCase()));
+
+    // Address blacklist changes affect every domain that address owns
+    const matches = event.args.account
+      ? entry => entry.data.owner.toLowerCase() === event.args.account.toLowerCase()
+      : entry => entry.data.tokenId === event.args.tokenId.toString();
+
+    for (const [key, entry] of this.cache) {
+      if (matches(entry)) {
+        console.log(`EBDomainResolver: ${event.name} invalidated ${key}`);
+        this.invalidate(key);
+      }
+    }
+  }
+
   // Get content URL from domain records
   getContentUrl(domainData) {
     if (!domainData || domainData.error) return null;
@@ -186,7 +685,8 @@ class EBDomainResolver {
     // 1. URL/Website (direct redirect to a website)
     // 2. IP Address (direct connection to server)
     // 3. IPFS Hash (decentralized content)
-    // 4. Default landing page
+    // 4. Inline content (a URL, or HTML stored on chain)
+    // 5. Default landing page
     
     // Check 'url' first as that's what the contract update uses
     if (records.url || records.website) {
@@ -199,9 +699,8 @@ class EBDomainResolver {
         url = 'https://' + url;
       }
       
-      // For redirects, we typically don't append the path
-      // as we're redirecting to a specific destination
-      return url;
+      // Append the requested path when the domain turned path forwarding on
+      return this.forwardsPath(records) ? this.appendPath(url, path) : url;
     }
     
     // Check for IP address mapping
@@ -226,23 +725,8 @@ class EBDomainResolver {
     if (records.ipfs) {
       console.log(`Found IPFS content for ${domain}: ${records.ipfs}`);
       
-      // Support different IPFS hash formats
-      let ipfsHash = records.ipfs;
-      
-      // Remove ipfs:// prefix if present
-      if (ipfsHash.startsWith('ipfs://')) {
-        ipfsHash = ipfsHash.replace('ipfs://', '');
-      }
-      
-      // Use multiple IPFS gateways for redundancy
-      const gateways = [
-        'https://ipfs.io/ipfs/',
-        'https://gateway.ipfs.io/ipfs/',
-        'https://cloudflare-ipfs.com/ipfs/'
-      ];
-      
-      // Use the primary gateway (you could implement fallback logic here)
-      return `${gateways[0]}${ipfsHash}${path}`;
+      // IPFS content is fetched and verified by the eb:// protocol handler
+      return `eb://${domain.toLowerCase()}${path}`;
     }
     
     // Check for custom content field
@@ -252,13 +736,13 @@ class EBDomainResolver {
       if (records.content.startsWith('http')) {
         return records.content;
       }
-      // If it's raw HTML, we could display it directly (would need special handling)
-      // For now, fall through to default
+      // Raw HTML and data URIs are rendered in a sandbox by the eb:// protocol handler
+      return `eb://${domain.toLowerCase()}/`;
     }
 
     console.log(`No redirect found for ${domain}, showing domain info page`);
     // Default to EB Domains landing page with query parameter
-    return `https://domains.everythingblack.xyz/domain?name=${domainData.domain}`;
+    return `https://domains.everythingblack.xyz/domain?name=${domainData.registeredDomain || domainData.domain}`;
   }
 }
 
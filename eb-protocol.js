@@ -0,0 +1,301 @@
+const { net } = require('electron');
+const fs = require('fs').promises;
+const path = require('path');
+
+// Scheme EB domains are served under, e.g. eb://name.guap/path
+const EB_SCHEME = 'eb';
+
+// Headers that describe the upstream connection rather than the content
+const STRIPPED_RESPONSE_HEADERS = [
+    'content-encoding',
+    'content-length',
+    'transfer-encoding',
+    'strict-transport-security',
+    'alt-svc'
+];
+
+// Largest inline 'content' record that will be rendered, before and after data URI decoding
+const MAX_INLINE_CONTENT_BYTES = 64 * 1024;
+
+// Data URI types an inline 'content' record may carry besides HTML and plain text
+const INLINE_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/svg+xml'];
+
+// Inline content gets an opaque origin with no scripts; only inline styles and data: media load
+const INLINE_CONTENT_CSP = [
+    'sandbox allow-popups allow-popups-to-escape-sandbox',
+    "default-src 'none'",
+    "style-src 'unsafe-inline'",
+    'img-src data:',
+    'font-src data:',
+    'media-src data:',
+    "form-action 'none'",
+    "base-uri 'none'",
+    "frame-ancestors 'none'"
+].join('; ');
+
+const escapeHtml = value => String(value).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
+class EBProtocolHandler {
+    constructor(resolver, ipfsFetcher) {
+        this.resolver = resolver;
+        this.ipfs = ipfsFetcher;
+
+        // Blacklisted domains the user chose to visit anyway; kept for this app session only
+        this.allowedBlacklisted = new Set();
+    }
+
+    // Privileges so eb:// pages get a real origin (storage, cookies, fetch). Service workers stay off:
+    // one would answer requests itself, so a domain blacklisted after installing it would skip handle()
+    static getSchemeRegistration() {
+        return {
+            scheme: EB_SCHEME,
+            privileges: {
+                standard: true,
+                secure: true,
+                supportFetchAPI: true,
+                corsEnabled: true,
+                stream: true
+            }
+        };
+    }
+
+    // Convert anything the resolver accepts (name.guap, https://name.guap/x) to an eb:// URL
+    toProtocolUrl(url) {
+        const domainInfo = this.resolver.parseDomain(url.replace(/^eb:\/\//i, ''));
+        if (!domainInfo) {
+            throw new Error(`Invalid EB domain: ${url}`);
+        }
+
+        return `${EB_SCHEME}://${domainInfo.host.toLowerCase()}${domainInfo.path}`;
+    }
+
+    // Upstream base URL for a resolved domain; request paths are appended to it
+    getUpstreamBase(resolved) {
+        const { records } = resolved;
+
+        if (records.url || records.website) {
+            const url = records.url || records.website;
+            return (/^https?:\/\//.test(url) ? url : `https://${url}`).replace(/\/+$/, '');
+        }
+
+        const ip = records.ip || records.ipv4 || records.ipv6;
+        if (ip) {
+            return ip.includes(':') ? `http://[${ip}]` : `http://${ip}`;
+        }
+
+        return null;
+    }
+
+    // Serve an ipfs:// or ipns:// record from verified gateway blocks
+    async ipfsResponse(record, request, requestUrl) {
+        if (!['GET', 'HEAD'].includes(request.method)) {
+            return this.errorResponse(405, 'Method not allowed', 'IPFS content is read-only.');
+        }
+
+        try {
+            const content = await this.ipfs.fetchContent(record, requestUrl.pathname);
+            return new Response(request.method === 'HEAD' ? null : content.body, {
+                status: content.status,
+                headers: { 'content-type': content.contentType }
+            });
+        } catch (error) {
+            console.error(`EBProtocolHandler: Failed to load IPFS content for ${requestUrl.hostname}:`, error.message);
+            return this.errorResponse(502, 'Failed to load IPFS content', error.message);
+        }
+    }
+
+    // HTML for a 'content' record: raw HTML, or a data: URI carrying HTML, text or an image
+    parseInlineContent(content) {
+        const match = content.match(/^data:([^,;]*)((?:;[^,;]*)*),(.*)$/is);
+        if (!match) {
+            if (/^data:/i.test(content)) {
+                throw new Error('Malformed data URI');
+            }
+            return content;
+        }
+
+        const type = (match[1] || 'text/plain').trim().toLowerCase();
+        const payload = /;base64/i.test(match[2])
+            ? Buffer.from(match[3], 'base64')
+            : Buffer.from(decodeURIComponent(match[3]), 'utf8');
+        if (payload.length > MAX_INLINE_CONTENT_BYTES) {
+            throw new Error(`Decoded content is larger than ${MAX_INLINE_CONTENT_BYTES / 1024} KB`);
+        }
+
+        if (type === 'text/html') {
+            return payload.toString('utf8');
+        }
+        if (type === 'text/plain') {
+            return `<pre style="white-space: pre-wrap;">${escapeHtml(payload.toString('utf8'))}</pre>`;
+        }
+        if (INLINE_IMAGE_TYPES.includes(type)) {
+            return `<img alt="" style="max-width: 100%;" src="data:${type};base64,${payload.toString('base64')}">`;
+        }
+        throw new Error(`Unsupported content type: ${type}`);
+    }
+
+    // Render a 'content' record as a sandboxed page marked as served from the chain
+    inlineContentResponse(content, requestUrl) {
+        const domain = requestUrl.hostname;
+        if (requestUrl.pathname !== '/') {
+            return this.errorResponse(404, 'Not found', `${domain} serves a single on-chain page.`);
+        }
+        if (Buffer.byteLength(content, 'utf8') > MAX_INLINE_CONTENT_BYTES) {
+            return this.errorResponse(413, 'On-chain page too large', `The content record for ${domain} is larger than ${MAX_INLINE_CONTENT_BYTES / 1024} KB.`);
+        }
+
+        let html;
+        try {
+            html = this.parseInlineContent(content.trim());
+        } catch (error) {
+            return this.errorResponse(415, 'Unsupported on-chain page', error.message);
+        }
+
+        // Inline !important styles outrank the page's own rules; appended last so it stacks on top
+        const badge = '<eb-chain-badge style="all: initial !important; position: fixed !important; bottom: 12px !important; right: 12px !important; ' +
+            'z-index: 2147483647 !important; display: block !important; padding: 6px 10px !important; border-radius: 4px !important; ' +
+            'background: #050505 !important; border: 1px solid #C44901 !important; color: #fff !important; font: 12px sans-serif !important;">' +
+            `Served directly from the chain &middot; ${escapeHtml(domain)}</eb-chain-badge>`;
+
+        return new Response(`${html}\n${badge}`, {
+            status: 200,
+            headers: {
+                'content-type': 'text/html; charset=utf-8',
+                'content-security-policy': INLINE_CONTENT_CSP,
+                'x-content-type-options': 'nosniff',
+                'referrer-policy': 'no-referrer',
+                'cache-control': 'no-cache'
+            }
+        });
+    }
+
+    // Let a blacklisted domain load for the rest of the session
+    allowBlacklisted(domain) {
+        this.allowedBlacklisted.add(domain.toLowerCase());
+    }
+
+    // Safety interstitial, built from error-page.html with its parameters inlined
+    async blacklistResponse(resolved, requestUrl) {
+        const domain = requestUrl.hostname;
+        const params = {
+            url: `${domain}${requestUrl.pathname === '/' ? '' : requestUrl.pathname}`,
+            domain,
+            error: resolved.blacklisted === 'owner' ? 'OWNER_BLACKLISTED' : 'DOMAIN_BLACKLISTED',
+            message: resolved.blacklisted === 'owner'
+                ? `The owner of ${domain} has been blacklisted by the EB domain registry.`
+                : `${domain} has been blacklisted by the EB domain registry.`
+        };
+
+        // The page is served under the domain's own origin, so it cannot read file:// query parameters
+        const template = await fs.readFile(path.join(__dirname, 'error-page.html'), 'utf8');
+        const script = `<script>window.ebErrorParams = ${JSON.stringify(params).replace(/</g, '\\u003c')};</script>`;
+
+        return new Response(template.replace('<head>', `<head>\n    ${script}`), {
+            status: 200,
+            headers: {
+                'content-type': 'text/html; charset=utf-8',
+                'cache-control': 'no-store'
+            }
+        });
+    }
+
+    // Minimal page for domains that cannot be served
+    errorResponse(status, title, message) {
+        const html = `<!DOCTYPE html><html><head><meta charset="UTF-8"><title>${escapeHtml(title)}</title></head>` +
+            '<body style="background:#050505;color:#fff;font-family:sans-serif;text-align:center;padding-top:15vh;">' +
+            `<h2 style="color:#e55400;">${escapeHtml(title)}</h2><p style="color:#ccc;">${escapeHtml(message)}</p></body></html>`;
+
+        return new Response(html, {
+            status,
+            headers: { 'content-type': 'text/html; charset=utf-8' }
+        });
+    }
+
+    // protocol.handle callback: resolve the domain and proxy the request to its content
+    async handle(request) {
+        const requestUrl = new URL(request.url);
+        const domain = requestUrl.hostname;
+
+        let resolved;
+        try {
+            resolved = await this.resolver.resolveDomain(domain);
+        } catch (error) {
+            return this.errorResponse(502, 'Domain resolution failed', error.message);
+        }
+
+        if (resolved && resolved.error === 'Subdomain not configured') {
+            return this.errorResponse(404, 'Subdomain not found', `The owner of ${domain.split('.').slice(-2).join('.')} has not set up "${domain}".`);
+        }
+        if (!resolved || resolved.error) {
+            return this.errorResponse(404, 'Domain not found', `The EB domain "${domain}" is not registered or could not be resolved.`);
+        }
+
+        if (resolved.blacklisted && !this.allowedBlacklisted.has(domain.toLowerCase())) {
+            return this.blacklistResponse(resolved, requestUrl);
+        }
+
+        // Without path forwarding a url record is a plain redirect to that exact address
+        const { records } = resolved;
+        if ((records.url || records.website) && !this.resolver.forwardsPath(records)) {
+            return Response.redirect(this.resolver.getContentUrl(resolved), 302);
+        }
+
+        const base = this.getUpstreamBase(resolved);
+        if (!base && resolved.records.ipfs) {
+            return this.ipfsResponse(resolved.records.ipfs, request, requestUrl);
+        }
+        if (!base && resolved.records.content && !/^https?:\/\//i.test(resolved.records.content)) {
+            return this.inlineContentResponse(resolved.records.content, requestUrl);
+        }
+        if (!base) {
+            // No content records yet; send the visitor to the domain's info page
+            return Response.redirect(this.resolver.getContentUrl(resolved), 302);
+        }
+
+        const upstreamUrl = this.resolver.appendPath(base, `${requestUrl.pathname}${requestUrl.search}`);
+        const { origin: upstreamOrigin, pathname: basePath } = new URL(base);
+        const basePrefix = basePath.replace(/\/$/, '');
+
+        try {
+            const headers = new Headers(request.headers);
+            headers.delete('host');
+            headers.delete('origin');
+            headers.delete('referer');
+
+            const hasBody = !['GET', 'HEAD'].includes(request.method);
+            const upstream = await net.fetch(upstreamUrl, {
+                method: request.method,
+                headers,
+                body: hasBody ? request.body : undefined,
+                duplex: hasBody ? 'half' : undefined,
+                redirect: 'manual'
+            });
+
+            const responseHeaders = new Headers(upstream.headers);
+            STRIPPED_RESPONSE_HEADERS.forEach(name => responseHeaders.delete(name));
+
+            // Keep same-site redirects on the EB origin
+            const location = responseHeaders.get('location');
+            if (location) {
+                const target = new URL(location, upstreamUrl);
+                if (target.origin === upstreamOrigin && target.pathname.startsWith(basePrefix)) {
+                    const relative = target.pathname.slice(basePrefix.length) || '/';
+                    responseHeaders.set('location', `${EB_SCHEME}://${domain}${relative}${target.search}${target.hash}`);
+                }
+            }
+
+            return new Response(upstream.body, {
+                status: upstream.status,
+                statusText: upstream.statusText,
+                headers: responseHeaders
+            });
+        } catch (error) {
+            console.error(`EBProtocolHandler: Failed to load ${upstreamUrl}:`, error.message);
+            return this.errorResponse(502, 'Failed to load domain content', `The content for ${domain} couldn't be loaded.`);
+        }
+    }
+}
+
+EBProtocolHandler.EB_SCHEME = EB_SCHEME;
+
+module.exports = EBProtocolHandler;
@@ -4,23 +4,41 @@ const EventEmitter = require('events');
 class EthereumProvider extends EventEmitter {
     constructor() {
         super();
-        this.chainId = '0x5dc'; // 1500 in hex for GuapcoinX
-        this.networkVersion = '1500';
+        this.chainId = '0x115c7'; // 71111 in hex for GuapcoinX until the active chain loads
+        this.networkVersion = '71111';
         this.selectedAddress = null;
         this.isMetaMask = true; // Pretend to be MetaMask for compatibility
         this.isConnected = () => true;
         
         // Listen for account changes from main process
-        ipcRenderer.on('wallet-account-changed', (event, address) => {
-            this.selectedAddress = address;
-            this.emit('accountsChanged', address ? [address] : []);
+        ipcRenderer.on('wallet-account-changed', (event, accounts) => {
+            const list = Array.isArray(accounts) ? accounts : (accounts ? [accounts] : []);
+            this.selectedAddress = list[0] || null;
+            this.emit('accountsChanged', list);
         });
         
         // Listen for network changes
         ipcRenderer.on('wallet-network-changed', (event, chainId) => {
-            this.chainId = chainId;
+            this._setChainId(chainId);
             this.emit('chainChanged', chainId);
         });
+        
+        // Load the active chain from the wallet's network registry
+        this._getChainId().catch(error => {
+            console.error('[EthereumProvider] Error loading chain ID:', error);
+        });
+    }
+    
+    _setChainId(chainId) {
+        this.chainId = chainId;
+        this.networkVersion = parseInt(chainId, 16).toString();
+    }
+    
+    // Build an EIP-1193 error carrying its numeric code
+    _rpcError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
     }
     
     // EIP-1193 request method
@@ -36,9 +54,10 @@ class EthereumProvider extends EventEmitter {
                 return this._getAccounts();
                 
             case 'eth_chainId':
-                return this.chainId;
+                return this._getChainId();
                 
             case 'net_version':
+                await this._getChainId();
                 return this.networkVersion;
                 
             case 'eth_sendTransaction':
@@ -79,6 +98,15 @@ class EthereumProvider extends EventEmitter {
             case 'wallet_addEthereumChain':
                 return this._addChain(params[0]);
                 
+            case 'wallet_getPermissions':
+                return this._getPermissions();
+                
+            case 'wallet_requestPermissions':
+                return this._requestPermissions(params[0]);
+                
+            case 'wallet_revokePermissions':
+                return this._revokePermissions(params[0]);
+                
             default:
                 throw new Error(`Method ${method} not supported`);
         }
@@ -89,6 +117,9 @@ class EthereumProvider extends EventEmitter {
         console.log('[EthereumProvider] Requesting accounts...');
         try {
             const accounts = await ipcRenderer.invoke('wallet-request-accounts');
+            if (accounts && accounts.success === false) {
+                throw this._rpcError(accounts.code, accounts.error);
+            }
             console.log('[EthereumProvider] Received accounts:', accounts);
             if (accounts && accounts.length > 0) {
                 this.selectedAddress = accounts[0];
@@ -156,17 +187,57 @@ class EthereumProvider extends EventEmitter {
         return await ipcRenderer.invoke('wallet-send-raw-transaction', signedTx);
     }
     
-    // Switch chain (GuapcoinX only for now)
+    // Get the active chain ID
+    async _getChainId() {
+        const chainId = await ipcRenderer.invoke('wallet-get-chain-id');
+        this._setChainId(chainId);
+        return chainId;
+    }
+    
+    // Switch to a chain in the wallet's network registry
     async _switchChain(chainData) {
-        if (chainData.chainId !== '0x5dc') {
-            throw new Error('Only GuapcoinX chain is supported');
+        if (!chainData || !chainData.chainId) {
+            throw this._rpcError(-32602, 'Missing chainId');
+        }
+        
+        const result = await ipcRenderer.invoke('wallet-switch-chain', { chainId: chainData.chainId });
+        if (!result.success) {
+            throw this._rpcError(result.code, result.error);
         }
         return null;
     }
     
-    // Add chain (reject for now as we only support GuapcoinX)
+    // Add a chain to the wallet's network registry (EIP-3085)
     async _addChain(chainData) {
-        throw new Error('Adding new chains is not supported');
+        const result = await ipcRenderer.invoke('wallet-add-chain', chainData);
+        if (!result.success) {
+            throw this._rpcError(result.code, result.error);
+        }
+        return null;
+    }
+    
+    // EIP-2255: permissions granted to this origin
+    async _getPermissions() {
+        return await ipcRenderer.invoke('wallet-get-permissions');
+    }
+    
+    // EIP-2255: ask the user to grant permissions (eth_accounts only)
+    async _requestPermissions(permissions) {
+        const granted = await ipcRenderer.invoke('wallet-request-permissions', permissions);
+        const accountsPermission = granted.find(p => p.parentCapability === 'eth_accounts');
+        if (accountsPermission) {
+            const caveat = accountsPermission.caveats.find(c => c.type === 'restrictReturnedAccounts');
+            const accounts = caveat ? caveat.value : [];
+            this.selectedAddress = accounts[0] || null;
+            this.emit('accountsChanged', accounts);
+        }
+        return granted;
+    }
+    
+    // Revoke this origin's permissions
+    async _revokePermissions(permissions) {
+        await ipcRenderer.invoke('wallet-revoke-permissions', { permissions });
+        return null;
     }
     
     // Legacy methods for compatibility
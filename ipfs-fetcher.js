@@ -0,0 +1,499 @@
+const { net, app } = require('electron');
+const Store = require('electron-store');
+const { ethers } = require('ethers');
+
+// Public gateways, tried in order after the user's local node (if any)
+const DEFAULT_GATEWAYS = [
+    'https://ipfs.io',
+    'https://dweb.link',
+    'https://trustless-gateway.link'
+];
+
+// Per-block request timeout
+const GATEWAY_TIMEOUT = 15000;
+
+// A gateway that just failed is tried last until this long has passed
+const FAILURE_COOLDOWN = 5 * 60 * 1000;
+
+// Verified blocks kept in memory (they are immutable, so never stale)
+const BLOCK_CACHE_BYTES = 64 * 1024 * 1024;
+
+// Largest file assembled from blocks
+const MAX_CONTENT_BYTES = 50 * 1024 * 1024;
+
+// Multicodec and multihash codes this fetcher understands
+const CODEC_RAW = 0x55;
+const CODEC_DAG_PB = 0x70;
+const HASH_IDENTITY = 0x00;
+const HASH_SHA2_256 = 0x12;
+
+// UnixFS node types
+const UNIXFS_DIRECTORY = 1;
+const UNIXFS_RAW = 0;
+const UNIXFS_HAMT_SHARD = 5;
+
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+const CONTENT_TYPES = {
+    html: 'text/html; charset=utf-8',
+    htm: 'text/html; charset=utf-8',
+    css: 'text/css; charset=utf-8',
+    js: 'text/javascript; charset=utf-8',
+    mjs: 'text/javascript; charset=utf-8',
+    json: 'application/json',
+    txt: 'text/plain; charset=utf-8',
+    md: 'text/markdown; charset=utf-8',
+    svg: 'image/svg+xml',
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    ico: 'image/x-icon',
+    woff: 'font/woff',
+    woff2: 'font/woff2',
+    wasm: 'application/wasm',
+    mp4: 'video/mp4',
+    webm: 'video/webm',
+    mp3: 'audio/mpeg',
+    pdf: 'application/pdf'
+};
+
+// Read an unsigned LEB128 varint; returns [value, nextOffset]
+function readVarint(bytes, offset) {
+    let value = 0;
+    let shift = 0;
+    while (offset < bytes.length) {
+        const byte = bytes[offset++];
+        value += (byte & 0x7f) * 2 ** shift;
+        if ((byte & 0x80) === 0) {
+            return [value, offset];
+        }
+        shift += 7;
+    }
+    throw new Error('Truncated varint');
+}
+
+// Decode protobuf fields into { fieldNumber: [values] } (varints as numbers, bytes as Uint8Array)
+function decodeProtobuf(bytes) {
+    const fields = {};
+    let offset = 0;
+    while (offset < bytes.length) {
+        let key;
+        [key, offset] = readVarint(bytes, offset);
+        const field = Math.floor(key / 8);
+        const wireType = key % 8;
+
+        let value;
+        if (wireType === 0) {
+            [value, offset] = readVarint(bytes, offset);
+        } else if (wireType === 2) {
+            let length;
+            [length, offset] = readVarint(bytes, offset);
+            value = bytes.subarray(offset, offset + length);
+            offset += length;
+        } else {
+            throw new Error(`Unsupported protobuf wire type ${wireType}`);
+        }
+
+        (fields[field] = fields[field] || []).push(value);
+    }
+    return fields;
+}
+
+function decodeBase32(text) {
+    const bytes = [];
+    let buffer = 0;
+    let bits = 0;
+    for (const char of text) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index < 0) {
+            throw new Error('Invalid base32 character');
+        }
+        buffer = (buffer << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bits -= 8;
+            bytes.push((buffer >> bits) & 0xff);
+        }
+    }
+    return Uint8Array.from(bytes);
+}
+
+function encodeBase32(bytes) {
+    let text = '';
+    let buffer = 0;
+    let bits = 0;
+    for (const byte of bytes) {
+        buffer = (buffer << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            bits -= 5;
+            text += BASE32_ALPHABET[(buffer >> bits) & 31];
+        }
+    }
+    if (bits > 0) {
+        text += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+    }
+    return text;
+}
+
+function decodeBase58(text) {
+    const leadingZeros = text.match(/^1*/)[0].length;
+    const rest = text.slice(leadingZeros);
+    const body = rest ? ethers.getBytes(ethers.toBeHex(ethers.decodeBase58(rest))) : new Uint8Array(0);
+    return Uint8Array.from([...new Array(leadingZeros).fill(0), ...body]);
+}
+
+class IPFSFetcher {
+    constructor() {
+        this.store = new Store({
+            name: 'eb-ipfs',
+            cwd: app.getPath('userData')
+        });
+
+        // Gateway health for this session, keyed by gateway URL
+        this.health = new Map();
+
+        this.blocks = new Map();
+        this.blockBytes = 0;
+    }
+
+    // ==========================================
+    // SETTINGS AND GATEWAY HEALTH
+    // ==========================================
+
+    // Configured gateway list and optional local node gateway
+    getSettings() {
+        return {
+            gateways: this.store.get('gateways', DEFAULT_GATEWAYS),
+            localGateway: this.store.get('localGateway', null)
+        };
+    }
+
+    // Validate and save the gateway list and optional local node gateway
+    updateSettings({ gateways, localGateway } = {}) {
+        const normalize = url => {
+            let parsed;
+            try {
+                parsed = new URL(String(url).trim());
+            } catch {
+                throw new Error(`Invalid gateway URL: ${url}`);
+            }
+            if (!['http:', 'https:'].includes(parsed.protocol)) {
+                throw new Error(`Gateways must use http or https: ${url}`);
+            }
+            return parsed.origin + parsed.pathname.replace(/\/+$/, '');
+        };
+
+        const list = (Array.isArray(gateways) ? gateways : [])
+            .map(url => String(url).trim())
+            .filter(Boolean)
+            .map(normalize);
+        if (list.length === 0) {
+            throw new Error('At least one gateway is required');
+        }
+
+        this.store.set('gateways', [...new Set(list)]);
+        if (localGateway && String(localGateway).trim()) {
+            this.store.set('localGateway', normalize(localGateway));
+        } else {
+            this.store.delete('localGateway');
+        }
+        return this.getSettings();
+    }
+
+    // Local node first, then configured order, with recently failed gateways moved to the end
+    getGatewayOrder() {
+        const { gateways, localGateway } = this.getSettings();
+        const ordered = localGateway ? [localGateway, ...gateways.filter(g => g !== localGateway)] : gateways;
+        const coolingDown = gateway => {
+            const health = this.health.get(gateway);
+            return health && health.lastFailureAt && Date.now() - health.lastFailureAt < FAILURE_COOLDOWN &&
+                (!health.lastSuccessAt || health.lastFailureAt > health.lastSuccessAt);
+        };
+
+        return [...ordered.filter(g => !coolingDown(g)), ...ordered.filter(coolingDown)];
+    }
+
+    // Gateway health for the settings UI
+    getHealth() {
+        return this.getGatewayOrder().map(url => {
+            const health = this.health.get(url) || {};
+            return {
+                url,
+                successes: health.successes || 0,
+                failures: health.failures || 0,
+                averageMs: health.successes ? Math.round(health.totalMs / health.successes) : null,
+                lastError: health.lastError || null
+            };
+        });
+    }
+
+    // Track a gateway's latency and failures
+    recordResult(gateway, { ms = 0, error = null } = {}) {
+        const health = this.health.get(gateway) || { successes: 0, failures: 0, totalMs: 0 };
+        if (error) {
+            health.failures++;
+            health.lastFailureAt = Date.now();
+            health.lastError = error;
+        } else {
+            health.successes++;
+            health.totalMs += ms;
+            health.lastSuccessAt = Date.now();
+        }
+        this.health.set(gateway, health);
+    }
+
+    // ==========================================
+    // CIDS AND BLOCKS
+    // ==========================================
+
+    // Parse a CID string into its version, codec and multihash
+    parseCid(text) {
+        let bytes;
+        if (/^Qm[1-9A-HJ-NP-Za-km-z]{44}$/.test(text)) {
+            // CIDv0 is a bare base58btc sha2-256 multihash of a dag-pb block
+            return this.cidFromBytes(decodeBase58(text));
+        } else if (text.startsWith('b')) {
+            bytes = decodeBase32(text.slice(1).toLowerCase());
+        } else if (text.startsWith('z')) {
+            bytes = decodeBase58(text.slice(1));
+        } else {
+            throw new Error(`Unsupported CID encoding: ${text}`);
+        }
+        return this.cidFromBytes(bytes);
+    }
+
+    // Binary CID (as found in dag-pb links) to a parsed CID
+    cidFromBytes(bytes) {
+        let offset = 0;
+        let version = 0;
+        let codec = CODEC_DAG_PB;
+
+        // CIDv0 is just a sha2-256 multihash; anything else starts with a version varint
+        if (!(bytes[0] === HASH_SHA2_256 && bytes[1] === 32)) {
+            [version, offset] = readVarint(bytes, offset);
+            if (version !== 1) {
+                throw new Error(`Unsupported CID version ${version}`);
+            }
+            [codec, offset] = readVarint(bytes, offset);
+        }
+
+        const multihash = bytes.subarray(offset);
+        let hashCode;
+        let hashLength;
+        let digestOffset;
+        [hashCode, digestOffset] = readVarint(multihash, 0);
+        [hashLength, digestOffset] = readVarint(multihash, digestOffset);
+        const digest = multihash.subarray(digestOffset, digestOffset + hashLength);
+
+        const string = version === 0
+            ? ethers.encodeBase58(multihash)
+            : 'b' + encodeBase32(bytes);
+
+        return { version, codec, hashCode, digest, string };
+    }
+
+    // The bytes must hash to the digest in the CID, whichever gateway served them
+    verifyBlock(cid, bytes) {
+        if (cid.hashCode === HASH_IDENTITY) {
+            return Buffer.from(cid.digest).equals(Buffer.from(bytes));
+        }
+        if (cid.hashCode === HASH_SHA2_256) {
+            return ethers.sha256(bytes) === ethers.hexlify(cid.digest);
+        }
+        throw new Error(`Unsupported hash function 0x${cid.hashCode.toString(16)}`);
+    }
+
+    // Fetch one block, trying gateways in order until one returns bytes that verify
+    async fetchBlock(cid) {
+        if (cid.hashCode === HASH_IDENTITY) {
+            return cid.digest;
+        }
+        if (this.blocks.has(cid.string)) {
+            return this.blocks.get(cid.string);
+        }
+
+        const errors = [];
+        for (const gateway of this.getGatewayOrder()) {
+            const started = Date.now();
+            try {
+                const response = await net.fetch(`${gateway}/ipfs/${cid.string}?format=raw`, {
+                    headers: { accept: 'application/vnd.ipld.raw' },
+                    signal: AbortSignal.timeout(GATEWAY_TIMEOUT)
+                });
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+
+                const bytes = new Uint8Array(await response.arrayBuffer());
+                if (!this.verifyBlock(cid, bytes)) {
+                    throw new Error('Content does not match CID');
+                }
+
+                this.recordResult(gateway, { ms: Date.now() - started });
+                this.cacheBlock(cid.string, bytes);
+                return bytes;
+            } catch (error) {
+                console.error(`IPFSFetcher: ${gateway} failed for ${cid.string}:`, error.message);
+                this.recordResult(gateway, { error: error.message });
+                errors.push(`${gateway}: ${error.message}`);
+            }
+        }
+
+        throw new Error(`No gateway returned verified content for ${cid.string} (${errors.join('; ')})`);
+    }
+
+    cacheBlock(key, bytes) {
+        this.blocks.set(key, bytes);
+        this.blockBytes += bytes.length;
+        for (const [oldKey, oldBytes] of this.blocks) {
+            if (this.blockBytes <= BLOCK_CACHE_BYTES) break;
+            this.blocks.delete(oldKey);
+            this.blockBytes -= oldBytes.length;
+        }
+    }
+
+    // Fetch and decode a block as a UnixFS node
+    async loadNode(cid) {
+        const bytes = await this.fetchBlock(cid);
+        if (cid.codec === CODEC_RAW) {
+            return { type: UNIXFS_RAW, data: bytes, fileSize: bytes.length, links: [] };
+        }
+        if (cid.codec !== CODEC_DAG_PB) {
+            throw new Error(`Unsupported IPLD codec 0x${cid.codec.toString(16)}`);
+        }
+
+        const node = decodeProtobuf(bytes);
+        const links = (node[2] || []).map(linkBytes => {
+            const link = decodeProtobuf(linkBytes);
+            return {
+                cid: this.cidFromBytes(link[1][0]),
+                name: link[2] ? Buffer.from(link[2][0]).toString('utf8') : '',
+                size: link[3] ? link[3][0] : 0
+            };
+        });
+
+        const unixfs = node[1] ? decodeProtobuf(node[1][0]) : {};
+        return {
+            type: unixfs[1] ? unixfs[1][0] : UNIXFS_RAW,
+            data: unixfs[2] ? unixfs[2][0] : new Uint8Array(0),
+            fileSize: unixfs[3] ? unixfs[3][0] : null,
+            links
+        };
+    }
+
+    // Concatenate a file's content: the node's own data, then each child in order
+    async readFile(node, chunks = [], state = { bytes: 0 }) {
+        if (node.fileSize !== null && node.fileSize > MAX_CONTENT_BYTES) {
+            throw new Error('File is too large to load');
+        }
+
+        if (node.data.length > 0) {
+            chunks.push(node.data);
+            state.bytes += node.data.length;
+        }
+        for (const link of node.links) {
+            if (state.bytes > MAX_CONTENT_BYTES) {
+                throw new Error('File is too large to load');
+            }
+            await this.readFile(await this.loadNode(link.cid), chunks, state);
+        }
+        return chunks;
+    }
+
+    // ==========================================
+    // CONTENT
+    // ==========================================
+
+    // Resolve an ipns:// name to a CID through the gateways (the IPNS record itself is not verified)
+    async resolveIpns(name) {
+        const errors = [];
+        for (const gateway of this.getGatewayOrder()) {
+            try {
+                const response = await net.fetch(`${gateway}/ipns/${name}/`, {
+                    method: 'HEAD',
+                    signal: AbortSignal.timeout(GATEWAY_TIMEOUT)
+                });
+                const roots = response.headers.get('x-ipfs-roots');
+                const ipfsPath = response.headers.get('x-ipfs-path');
+                const cid = roots ? roots.split(',')[0].trim() : null;
+                if (cid) {
+                    return cid;
+                }
+                if (ipfsPath && ipfsPath.startsWith('/ipfs/')) {
+                    return ipfsPath.split('/')[2];
+                }
+                throw new Error('Gateway did not report the resolved CID');
+            } catch (error) {
+                this.recordResult(gateway, { error: error.message });
+                errors.push(`${gateway}: ${error.message}`);
+            }
+        }
+        throw new Error(`Could not resolve ipns://${name} (${errors.join('; ')})`);
+    }
+
+    // Serve a path from an ipfs:// or ipns:// record, verifying every block
+    async fetchContent(record, requestPath = '/') {
+        const match = record.trim().match(/^(?:(ipfs|ipns):\/\/)?([^/?#]+)(\/[^?#]*)?/i);
+        if (!match) {
+            throw new Error(`Invalid IPFS record: ${record}`);
+        }
+
+        const [, scheme = 'ipfs', root, recordPath = ''] = match;
+        const rootCid = scheme.toLowerCase() === 'ipns' ? await this.resolveIpns(root) : root;
+
+        // Walk the record's own subpath, then the requested path
+        const segments = `${recordPath}/${requestPath}`
+            .split('/')
+            .filter(Boolean)
+            .map(segment => decodeURIComponent(segment));
+
+        let node = await this.loadNode(this.parseCid(rootCid));
+        for (const segment of segments) {
+            if (node.type === UNIXFS_HAMT_SHARD) {
+                throw new Error('Sharded IPFS directories are not supported');
+            }
+            const link = node.type === UNIXFS_DIRECTORY ? node.links.find(l => l.name === segment) : null;
+            if (!link) {
+                return { status: 404, contentType: 'text/plain; charset=utf-8', body: Buffer.from('Not found') };
+            }
+            node = await this.loadNode(link.cid);
+        }
+
+        let fileName = segments[segments.length - 1] || '';
+        if (node.type === UNIXFS_DIRECTORY) {
+            const index = node.links.find(l => l.name === 'index.html');
+            if (!index) {
+                return { status: 200, contentType: CONTENT_TYPES.html, body: Buffer.from(this.renderListing(node, requestPath)) };
+            }
+            node = await this.loadNode(index.cid);
+            fileName = 'index.html';
+        } else if (node.type === UNIXFS_HAMT_SHARD) {
+            throw new Error('Sharded IPFS directories are not supported');
+        }
+
+        const extension = fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+        return {
+            status: 200,
+            contentType: CONTENT_TYPES[extension] || 'application/octet-stream',
+            body: Buffer.concat(await this.readFile(node))
+        };
+    }
+
+    // Plain listing for directories without an index.html
+    renderListing(node, requestPath) {
+        const escape = value => String(value).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+        const base = requestPath.endsWith('/') ? requestPath : `${requestPath}/`;
+        const items = node.links
+            .map(link => `<li><a href="${escape(base + encodeURIComponent(link.name))}">${escape(link.name)}</a></li>`)
+            .join('');
+        return `<!DOCTYPE html><html><head><meta charset="UTF-8"><title>Index of ${escape(requestPath)}</title></head>` +
+            `<body><h1>Index of ${escape(requestPath)}</h1><ul>${items}</ul></body></html>`;
+    }
+}
+
+IPFSFetcher.DEFAULT_GATEWAYS = DEFAULT_GATEWAYS;
+
+module.exports = IPFSFetcher;
@@ -1,19 +1,52 @@
-const { app, BrowserWindow, ipcMain, webContents, dialog, shell, session, clipboard, globalShortcut, protocol, Menu } = require('electron');
+const { app, BrowserWindow, ipcMain, webContents, dialog, shell, session, clipboard, globalShortcut, protocol, Menu, Notification } = require('electron');
 const path = require('path');
 const fs = require('fs').promises;
+const { ethers } = require('ethers');
 const Store = require('electron-store');
 const WalletManager = require('./wallet');
 const PasswordManager = require('./passwordManager');
 const EBDomainResolver = require('./domain-resolver');
+const EBProtocolHandler = require('./eb-protocol');
+const IPFSFetcher = require('./ipfs-fetcher');
+const NetworkRegistry = require('./network-registry');
+const RpcPool = require('./rpc-pool');
+const TransactionHistory = require('./transaction-history');
+const TransactionDecoder = require('./transaction-decoder');
+const SessionStore = require('./session-store');
 const PasswordVault = require('./password-manager/main/passwordManager'); // Our secure password vault
 
 // Initialize stores immediately but they'll be re-initialized after app is ready
 let store = new Store();
 let walletManager = new WalletManager();
 let passwordManager = new PasswordManager();
+let networkRegistry = new NetworkRegistry();
+let transactionHistory = new TransactionHistory();
+const transactionDecoder = new TransactionDecoder();
 let passwordVault = null; // Initialize after app is ready
 let vaultManager = null; // Password vault - will be initialized after app is ready
 let domainResolver = null; // Will be initialized after app is ready
+let ebProtocol = null; // Serves eb:// pages once the resolver exists
+let ipfsFetcher = null; // IPFS gateway client, initialized after app is ready
+let sessionStore = null; // Tab snapshots for session restore, initialized after app is ready
+
+// Saved tabs each new window loads, keyed by the window's webContents ID until its renderer takes them
+const pendingSessions = new Map();
+
+// Windows closed while quitting stay in the session; windows closed one by one are forgotten
+let isQuitting = false;
+
+// IDs of open browser windows (not chatbot or branded windows), the targets tabs can move between
+const browserWindowIds = new Set();
+
+// eb:// must be registered before the app is ready to get a standard, secure origin
+protocol.registerSchemesAsPrivileged([EBProtocolHandler.getSchemeRegistration()]);
+
+// Drop decrypted wallet secrets whenever the password session locks (manual or timeout)
+function bindWalletLock(manager) {
+    manager.on('locked', () => walletManager.lock());
+    return manager;
+}
+bindWalletLock(passwordManager);
 
 // Set application name
 app.setName('Everything Black');
@@ -27,7 +60,9 @@ function reinitializeStores() {
     // Create fresh instances
     store = new Store();
     walletManager = new WalletManager();
-    passwordManager = new PasswordManager();
+    passwordManager = bindWalletLock(new PasswordManager());
+    networkRegistry = new NetworkRegistry();
+    transactionHistory = new TransactionHistory();
     
     console.log('Stores re-initialized');
 }
@@ -78,6 +113,7 @@ function addToCertificateWhitelist(hostname) {
 }
 
 function createApplicationMenu() {
+    const recentlyClosed = sessionStore ? sessionStore.getRecentlyClosed() : [];
     const template = [
         {
             label: 'File',
@@ -103,6 +139,26 @@ function createApplicationMenu() {
                     click: (menuItem, browserWindow) => {
                         if (browserWindow) browserWindow.webContents.send('menu-close-tab');
                     }
+                },
+                {
+                    label: 'Reopen Closed Tab',
+                    accelerator: 'CmdOrCtrl+Shift+T',
+                    click: (menuItem, browserWindow) => {
+                        reopenRecentlyClosed(null, browserWindow);
+                    }
+                },
+                {
+                    label: 'Recently Closed',
+                    submenu: recentlyClosed.length > 0
+                        ? recentlyClosed.slice(0, 10).map(entry => ({
+                            label: entry.type === 'window'
+                                ? `${entry.tabCount} tab${entry.tabCount === 1 ? '' : 's'} - ${entry.title}`
+                                : entry.title,
+                            click: (menuItem, browserWindow) => {
+                                reopenRecentlyClosed(entry.id, browserWindow);
+                            }
+                        }))
+                        : [{ label: 'Nothing recently closed', enabled: false }]
                 }
             ]
         },
@@ -203,7 +259,7 @@ function createApplicationMenu() {
     Menu.setApplicationMenu(menu);
 }
 
-function createWindow() {
+function createWindow(savedSession = null) {
     const mainWindow = new BrowserWindow({
         width: 1280,
         height: 800,
@@ -433,6 +489,12 @@ function createWindow() {
         contents.setWindowOpenHandler(({ url, frameName, features }) => {
             console.log('Window open handler:', url);
             
+            // EB domains open as a browser tab so they go through the resolver
+            if (url && domainResolver && domainResolver.isEBDomain(url)) {
+                openUrlInNewTab(contents, url);
+                return { action: 'deny' };
+            }
+            
             // ALL external links should be branded
             if (url && url.startsWith('http')) {
                 console.log('Creating branded window for URL:', url);
@@ -507,8 +569,8 @@ function createWindow() {
         isMaximized: false
     };
 
-    // Load saved window state
-    const savedState = store.get('windowState');
+    // Load saved window state, preferring the bounds of a restored window
+    const savedState = savedSession && savedSession.bounds ? savedSession.bounds : store.get('windowState');
     if (savedState) {
         windowState = savedState;
         mainWindow.setBounds({
@@ -538,6 +600,103 @@ function createWindow() {
     mainWindow.on('resize', saveState);
     mainWindow.on('move', saveState);
     mainWindow.on('close', saveState);
+
+    // Session restore: hand the saved tabs to the renderer and drop the snapshot of a window closed on its own
+    const windowId = mainWindow.id;
+    const contentsId = mainWindow.webContents.id;
+    browserWindowIds.add(windowId);
+    if (savedSession) {
+        pendingSessions.set(contentsId, savedSession);
+    }
+    mainWindow.on('close', () => {
+        if (!sessionStore || isQuitting) {
+            return;
+        }
+
+        sessionStore.recordClosedWindow(windowId);
+        notifyRecentlyClosed();
+        if (BrowserWindow.getAllWindows().length > 1) {
+            sessionStore.removeWindow(windowId);
+        }
+    });
+    mainWindow.on('closed', () => {
+        pendingSessions.delete(contentsId);
+        browserWindowIds.delete(windowId);
+    });
+}
+
+// Browser window to reopen a tab in: the one asked from, else any open one
+function getBrowserWindow(preferred = null) {
+    if (preferred && !preferred.isDestroyed() && browserWindowIds.has(preferred.id)) {
+        return preferred;
+    }
+    const id = [...browserWindowIds].find(candidate => BrowserWindow.fromId(candidate));
+    return id === undefined ? null : BrowserWindow.fromId(id);
+}
+
+// True for the top-level page of a browser window, never for webviews or other windows
+function isBrowserWindowSender(sender) {
+    const window = BrowserWindow.fromWebContents(sender);
+    return sender.getType() === 'window' && !!window && browserWindowIds.has(window.id);
+}
+
+// Reopen a closed tab or window, the most recent one when no ID is given
+function reopenRecentlyClosed(id = null, preferredWindow = null) {
+    const entry = sessionStore ? sessionStore.takeRecentlyClosed(id) : null;
+    if (!entry) {
+        return false;
+    }
+
+    const target = getBrowserWindow(preferredWindow);
+    if (entry.type === 'tab' && target) {
+        target.webContents.send('tab-adopt', entry.tab);
+        target.focus();
+    } else {
+        createWindow(entry.type === 'tab' ? { tabs: [entry.tab], activeIndex: 0 } : entry.session);
+    }
+
+    notifyRecentlyClosed();
+    return true;
+}
+
+// Refresh the Recently Closed menu and history panels after the stack changes
+function notifyRecentlyClosed() {
+    createApplicationMenu();
+
+    const recentlyClosed = sessionStore.getRecentlyClosed();
+    browserWindowIds.forEach(id => {
+        const win = BrowserWindow.fromId(id);
+        if (win && !win.isDestroyed()) {
+            win.webContents.send('recently-closed', recentlyClosed);
+        }
+    });
+}
+
+// Windows to reopen at launch: the whole last session when continuing, or after a crash if the user agrees
+async function chooseStartupSession() {
+    const { crashed, windows } = sessionStore.begin();
+    if (windows.length === 0) {
+        return [];
+    }
+    if (sessionStore.getSettings().startupMode === 'continue') {
+        return windows;
+    }
+    if (!crashed) {
+        return [];
+    }
+
+    const tabCount = windows.reduce((count, snapshot) => count + snapshot.tabs.length, 0);
+    const { response } = await dialog.showMessageBox({
+        type: 'question',
+        buttons: ['Start New Session', 'Restore Previous Session'],
+        defaultId: 1,
+        cancelId: 0,
+        title: 'Restore Previous Session',
+        message: 'Everything Black Browser did not shut down correctly.',
+        detail: `Restore ${tabCount} tab${tabCount === 1 ? '' : 's'} in ${windows.length} window${windows.length === 1 ? '' : 's'} from your previous session?`,
+        noLink: true
+    });
+    return response === 1 ? windows : [];
 }
 
 // Chatbot window
@@ -688,6 +847,10 @@ ipcMain.on('clear-history', (event) => {
     console.log('[Main] Received clear-history IPC message');
     history = [];
     store.set('history', []);
+    if (sessionStore) {
+        sessionStore.clearRecentlyClosed();
+        notifyRecentlyClosed();
+    }
     console.log('[Main] History cleared, sending reply');
     event.reply('history-cleared');
 });
@@ -768,6 +931,7 @@ app.whenReady().then(async () => {
     reinitializeStores();
     loadCertificateWhitelist();
     loadConnectedDomains();
+    startActivityPolling();
     
     // Initialize password vault manager
     try {
@@ -780,7 +944,10 @@ app.whenReady().then(async () => {
     }
     
     // Initialize domain resolver
-    domainResolver = new EBDomainResolver();
+    domainResolver = new EBDomainResolver(RpcPool.forNetwork(networkRegistry.getNetwork('0x115c7')));
+    ipfsFetcher = new IPFSFetcher();
+    ebProtocol = new EBProtocolHandler(domainResolver, ipfsFetcher);
+    domainResolver.startEventWatch();
     console.log('EB Domain Resolver initialized');
     
     // Create application menu
@@ -789,6 +956,10 @@ app.whenReady().then(async () => {
     // Configure session for webviews to fix WalletConnect CORS issues
     const webviewSession = session.fromPartition('persist:webview');
     
+    // Serve EB domains under their own eb:// origin
+    webviewSession.protocol.handle(EBProtocolHandler.EB_SCHEME, request => ebProtocol.handle(request));
+    protocol.handle(EBProtocolHandler.EB_SCHEME, request => ebProtocol.handle(request));
+    
     // Handle certificate errors for webview session
     webviewSession.setCertificateVerifyProc((request, callback) => {
         const { hostname } = request;
@@ -853,74 +1024,13 @@ app.whenReady().then(async () => {
     // Intercept navigation requests for EB domains in all webContents
     app.on('web-contents-created', (event, contents) => {
         // Handle will-navigate for standard navigation
-        contents.on('will-navigate', async (event, url) => {
+        contents.on('will-navigate', (event, url) => {
             if (domainResolver && domainResolver.isEBDomain(url)) {
                 event.preventDefault();
                 console.log('EB Domain navigation intercepted:', url);
-                
-                try {
-                    const resolved = await domainResolver.resolveDomain(url);
-                    if (resolved && !resolved.error) {
-                        const contentUrl = domainResolver.getContentUrl(resolved);
-                        console.log('Resolved content URL:', contentUrl);
-                        
-                        // Determine content type
-                        let contentType = 'url';
-                        if (resolved.records.ip || resolved.records.ipv4 || resolved.records.ipv6) {
-                            contentType = 'ip';
-                        } else if (resolved.records.ipfs) {
-                            contentType = 'ipfs';
-                        }
-                        
-                        // Load the proxy page with domain masking
-                        const proxyPath = path.join(__dirname, 'domain-proxy.html');
-                        const proxyParams = new URLSearchParams({
-                            domain: resolved.domain,
-                            url: contentUrl,
-                            type: contentType
-                        });
-                        
-                        // Load proxy page which will maintain the EB domain in address bar
-                        contents.loadFile(proxyPath, {
-                            search: proxyParams.toString()
-                        });
-                    } else {
-                        console.log('Domain resolution failed:', resolved?.error);
-                        // Show error page
-                        const errorPagePath = path.join(__dirname, 'error-page.html');
-                        const errorParams = new URLSearchParams({
-                            url: url,
-                            error: 'DOMAIN_NOT_FOUND',
-                            message: `The EB domain "${url}" is not registered or could not be resolved.`
-                        });
-                        contents.loadFile(errorPagePath, {
-                            search: errorParams.toString()
-                        });
-                    }
-                } catch (error) {
-                    console.error('Domain resolution error:', error);
-                    const errorPagePath = path.join(__dirname, 'error-page.html');
-                    const errorParams = new URLSearchParams({
-                        url: url,
-                        error: 'DOMAIN_RESOLUTION_ERROR',
-                        message: error.message
-                    });
-                    contents.loadFile(errorPagePath, {
-                        search: errorParams.toString()
-                    });
-                }
+                contents.loadURL(ebProtocol.toProtocolUrl(url));
             }
         });
-        
-        // Also handle new-window events
-        contents.setWindowOpenHandler(({ url }) => {
-            if (domainResolver && domainResolver.isEBDomain(url)) {
-                console.log('EB Domain in new window:', url);
-                // Return action: 'deny' to prevent opening, we'll handle it
-                return { action: 'deny' };
-            }
-            return { action: 'allow' };
-        });
     });
     
     // Set up clipboard permissions
@@ -931,7 +1041,14 @@ app.whenReady().then(async () => {
         callback(false); // Block other permissions by default
     });
     
-    createWindow();
+    // Reopen the previous session's windows, or start with a single landing page
+    sessionStore = new SessionStore();
+    const restoredWindows = await chooseStartupSession();
+    if (restoredWindows.length > 0) {
+        restoredWindows.forEach(snapshot => createWindow(snapshot));
+    } else {
+        createWindow();
+    }
     
     // Register global shortcut for chatbot (Cmd/Ctrl + Shift + A)
     globalShortcut.register('CommandOrControl+Shift+A', () => {
@@ -939,7 +1056,11 @@ app.whenReady().then(async () => {
     });
 
     app.on('activate', function () {
-        if (BrowserWindow.getAllWindows().length === 0) createWindow();
+        if (BrowserWindow.getAllWindows().length === 0) {
+            // The fresh window replaces the one kept from closing the last window
+            sessionStore.clearWindows();
+            createWindow();
+        }
     });
 });
 
@@ -1008,9 +1129,18 @@ app.on('window-all-closed', function () {
     if (process.platform !== 'darwin') app.quit();
 });
 
+app.on('before-quit', () => {
+    isQuitting = true;
+});
+
 app.on('will-quit', () => {
     // Unregister all shortcuts
     globalShortcut.unregisterAll();
+
+    // Reaching here means the session ended cleanly
+    if (sessionStore) {
+        sessionStore.end();
+    }
 });
 
 // Handle opening external URLs
@@ -1079,7 +1209,7 @@ ipcMain.handle('wallet-generate', async (event) => {
         }
         
         const wallet = walletManager.generateWallet();
-        walletManager.saveWallet(wallet);
+        walletManager.saveWallet(wallet, passwordManager.getEncryption());
         // Return full wallet info including mnemonic for initial display
         // User must back this up as it won't be shown again
         return { 
@@ -1123,13 +1253,119 @@ ipcMain.handle('wallet-restore', async (event, mnemonic) => {
         }
         
         const wallet = walletManager.restoreFromMnemonic(mnemonic);
-        walletManager.saveWallet(wallet);
+        walletManager.saveWallet(wallet, passwordManager.getEncryption());
+        return { success: true, wallet: { address: wallet.address } }; // Only return address
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('wallet-import-private-key', async (event, privateKey) => {
+    try {
+        // Validate private key input
+        if (!privateKey || typeof privateKey !== 'string' || !/^(0x)?[0-9a-fA-F]{64}$/.test(privateKey.trim())) {
+            return { success: false, error: 'Private key must be 64 hex characters' };
+        }
+        
+        // Show user confirmation first
+        const result = await dialog.showMessageBox(BrowserWindow.getFocusedWindow(), {
+            type: 'question',
+            buttons: ['Cancel', 'Import Wallet'],
+            defaultId: 1,
+            cancelId: 0,
+            title: 'Import Private Key',
+            message: 'Do you want to import a wallet from this private key?',
+            detail: 'This will replace any existing wallet. Wallets imported from a private key have a single account.',
+            noLink: true
+        });
+        
+        if (result.response !== 1) {
+            return { success: false, error: 'Operation cancelled by user' };
+        }
+        
+        const wallet = walletManager.restoreFromPrivateKey(privateKey);
+        walletManager.saveWallet(wallet, passwordManager.getEncryption());
         return { success: true, wallet: { address: wallet.address } }; // Only return address
     } catch (error) {
         return { success: false, error: error.message };
     }
 });
 
+// Export the active account as a passphrase-protected Web3 Secret Storage keystore
+ipcMain.handle('wallet-export-profile', async (event, passphrase) => {
+    try {
+        if (!passphrase || typeof passphrase !== 'string' || passphrase.length < 8) {
+            return { success: false, error: 'Passphrase must be at least 8 characters' };
+        }
+        if (!passwordManager.isWalletUnlocked()) {
+            return { success: false, error: 'Wallet is locked' };
+        }
+        
+        // Show user confirmation first
+        const result = await dialog.showMessageBox(BrowserWindow.getFocusedWindow(), {
+            type: 'warning',
+            buttons: ['Cancel', 'Export Keystore'],
+            defaultId: 0,
+            cancelId: 0,
+            title: 'Export Wallet',
+            message: 'Do you want to export your wallet keystore?',
+            detail: 'The file contains your private key and recovery phrase, encrypted with the passphrase you chose. Anyone with the file and passphrase can take your funds.',
+            noLink: true
+        });
+        
+        if (result.response !== 1) {
+            return { success: false, error: 'Operation cancelled by user' };
+        }
+        
+        const keystore = await walletManager.exportKeystore(passphrase);
+        passwordManager.resetActivityTimer();
+        return { success: true, profile: JSON.parse(keystore) };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+// Import a Web3 Secret Storage keystore (from this browser or another wallet)
+ipcMain.handle('wallet-import-profile', async (event, { keystore, passphrase } = {}) => {
+    try {
+        if (!keystore || (typeof keystore !== 'string' && typeof keystore !== 'object')) {
+            return { success: false, error: 'Invalid keystore file' };
+        }
+        if (!passphrase || typeof passphrase !== 'string') {
+            return { success: false, error: 'Keystore passphrase is required' };
+        }
+        
+        const encryption = passwordManager.getEncryption();
+        const json = typeof keystore === 'string' ? keystore : JSON.stringify(keystore);
+        const imported = await walletManager.decryptKeystore(json, passphrase);
+        
+        // Show user confirmation first
+        const result = await dialog.showMessageBox(BrowserWindow.getFocusedWindow(), {
+            type: 'question',
+            buttons: ['Cancel', 'Import Wallet'],
+            defaultId: 1,
+            cancelId: 0,
+            title: 'Import Keystore',
+            message: 'Do you want to import this wallet?',
+            detail: `Address: ${imported.wallet.address}\n\nThis will replace any existing wallet.`,
+            noLink: true
+        });
+        
+        if (result.response !== 1) {
+            return { success: false, error: 'Operation cancelled by user' };
+        }
+        
+        walletManager.saveWallet(imported.wallet, encryption);
+        if (imported.index > 0) {
+            walletManager.activateDerivedAccount(imported.index);
+        }
+        
+        return { success: true, wallet: { address: walletManager.loadWallet().address } };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
 ipcMain.handle('wallet-load', async () => {
     try {
         // Use fresh instance to avoid cache issues
@@ -1141,6 +1377,10 @@ ipcMain.handle('wallet-load', async () => {
         if (wallet && !walletManager.hasWallet()) {
             console.log('Updating global walletManager instance');
             walletManager = freshWalletManager;
+            
+            if (passwordManager.isWalletUnlocked()) {
+                walletManager.unlock(passwordManager.getEncryption());
+            }
         }
         
         return { success: true, wallet: wallet ? { address: wallet.address } : null };
@@ -1168,6 +1408,7 @@ ipcMain.handle('wallet-clear', async () => {
         }
         
         walletManager.clearWallet();
+        transactionHistory.clear();
         return { success: true };
     } catch (error) {
         return { success: false, error: error.message };
@@ -1181,7 +1422,13 @@ ipcMain.handle('wallet-connect-network', async (event, { rpcUrl, chainId, fallba
             return { success: false, error: 'Invalid network parameters' };
         }
         
-        await walletManager.connectToNetwork(rpcUrl, chainId, fallbackRpcUrl);
+        // Known networks connect through their shared pool with every configured endpoint
+        const network = networkRegistry.getNetwork(chainId);
+        if (network) {
+            await walletManager.connectToChain(network);
+        } else {
+            await walletManager.connectToNetwork(rpcUrl, chainId, fallbackRpcUrl);
+        }
         return { success: true };
     } catch (error) {
         return { success: false, error: error.message };
@@ -1197,6 +1444,36 @@ ipcMain.handle('wallet-get-balance', async () => {
     }
 });
 
+// Decode calldata, estimate fees and dry-run the call, then ask the user to confirm
+// knownNames overrides reverse resolution, e.g. with the domain a recipient was entered as
+async function confirmTransactionRequest(event, request, origin = null, knownNames = {}) {
+    const walletData = walletManager.loadWallet();
+    const summary = await transactionDecoder.summarize(request, {
+        provider: walletManager.provider,
+        from: request.from || (walletData ? walletData.address : 'Unknown'),
+        symbol: getNativeSymbol(),
+        knownTokens: walletManager.getTokens(),
+        resolveNames: async addresses => ({
+            ...(domainResolver ? await domainResolver.getPrimaryDomains(addresses) : {}),
+            ...knownNames
+        })
+    });
+    const warningText = summary.warnings.map(warning => `⚠ ${warning}`).join('\n\n');
+    
+    const result = await dialog.showMessageBox(getWindowForSender(event.sender), {
+        type: 'warning',
+        buttons: ['Cancel', 'Send Transaction'],
+        defaultId: 0,
+        cancelId: 0,
+        title: 'Confirm Transaction',
+        message: origin ? `${origin} wants to send a transaction` : 'Do you want to send this transaction?',
+        detail: truncateForDialog(warningText ? `${warningText}\n\n${summary.detail}` : summary.detail, 3000),
+        noLink: true
+    });
+    
+    return result.response === 1;
+}
+
 ipcMain.handle('wallet-send-transaction', async (event, txData) => {
     try {
         // Validate transaction data
@@ -1204,38 +1481,53 @@ ipcMain.handle('wallet-send-transaction', async (event, txData) => {
             return { success: false, error: 'Invalid transaction data' };
         }
         
-        // Format the value for display
-        let valueDisplay = 'Unknown';
-        if (txData.value) {
-            try {
-                const { ethers } = require('ethers');
-                valueDisplay = ethers.utils.formatEther(txData.value) + ' ETH';
-            } catch {
-                valueDisplay = txData.value;
+        // Pages may only send standard transactions, from accounts they were approved for
+        if (event.sender.getType() === 'webview') {
+            if (txData.amount !== undefined || txData.toDomain !== undefined) {
+                return { success: false, error: 'Invalid transaction data' };
+            }
+            
+            const accounts = getConnectedAccounts(getRequestOrigin(event.sender));
+            if (accounts.length === 0) {
+                return { success: false, error: 'This site is not connected to your wallet' };
             }
-        } else if (txData.amount !== undefined) {
-            valueDisplay = txData.amount + ' ETH';
+            if (txData.from && !accounts.some(account => account.toLowerCase() === String(txData.from).toLowerCase())) {
+                return { success: false, error: 'Requested address is not connected to this site' };
+            }
+            
+            // Without a from address the site's first connected account signs, never the panel's active one
+            txData = { ...txData, from: txData.from || accounts[0] };
         }
         
-        // Show user confirmation
-        const result = await dialog.showMessageBox(BrowserWindow.getFocusedWindow(), {
-            type: 'warning',
-            buttons: ['Cancel', 'Send Transaction'],
-            defaultId: 0,
-            cancelId: 0,
-            title: 'Confirm Transaction',
-            message: 'Do you want to send this transaction?',
-            detail: `To: ${txData.to}\nAmount: ${valueDisplay}\nData: ${txData.data || '0x'}`,
-            noLink: true
-        });
+        // Panel sends use {to, amount}; dApps send a standard transaction object
+        const isPanelSend = txData.amount !== undefined && !txData.value;
+        const request = isPanelSend
+            ? { to: txData.to, value: ethers.parseEther(String(txData.amount)) }
+            : walletManager.normalizeTransactionRequest(txData);
+        const origin = event.sender.getType() === 'webview' ? getRequestOrigin(event.sender) : null;
         
-        if (result.response !== 1) {
+        // A recipient entered as a domain must still belong to the address the panel resolved
+        const knownNames = {};
+        if (isPanelSend && txData.toDomain) {
+            const recipient = await domainResolver.resolveOwner(txData.toDomain);
+            if (recipient.address.toLowerCase() !== String(txData.to).toLowerCase()) {
+                return { success: false, error: `${recipient.domain} now belongs to a different address. Check the recipient and try again.` };
+            }
+            knownNames[recipient.address.toLowerCase()] = recipient.domain;
+        }
+        
+        // Show user confirmation
+        if (!await confirmTransactionRequest(event, request, origin, knownNames)) {
             return { success: false, error: 'Transaction cancelled by user' };
         }
         
         // Handle both formats: {to, amount} and standard ethereum tx format
-        if (txData.to && txData.amount !== undefined && !txData.value) {
+        if (isPanelSend) {
             const tx = await walletManager.sendTransaction(txData.to, txData.amount);
+            recordActivity(tx, {
+                kind: 'send',
+                description: `Send ${txData.amount} ${getNativeSymbol()}`
+            });
             return { success: true, transaction: tx.hash };
         } else {
             // Ethereum provider format from dApps
@@ -1243,7 +1535,15 @@ ipcMain.handle('wallet-send-transaction', async (event, txData) => {
                 throw new Error('Wallet is locked');
             }
             
-            const tx = await walletManager.wallet.sendTransaction(txData);
+            const tx = await walletManager.getSigner(txData.from).sendTransaction(request);
+            const decoded = transactionDecoder.decodeCalldata(tx.to, tx.data);
+            recordActivity(tx, {
+                kind: 'dapp',
+                description: decoded
+                    ? (decoded.method ? `${decoded.contract ? decoded.contract + ' ' : ''}${decoded.method}` : 'Contract interaction')
+                    : `Send ${ethers.formatEther(tx.value)} ${getNativeSymbol()}`,
+                origin
+            });
             return tx.hash; // Return hash directly for dApp compatibility
         }
     } catch (error) {
@@ -1311,143 +1611,1333 @@ ipcMain.handle('wallet-remove-token', async (event, tokenAddress) => {
     }
 });
 
-// Password handlers
-ipcMain.handle('password-check-exists', async () => {
-    console.log('=== PASSWORD CHECK STARTED ===');
-    
-    // Always create a fresh instance for password checking to avoid cache issues
-    const PasswordManager = require('./passwordManager');
-    const freshPasswordManager = new PasswordManager();
-    
-    const hasPassword = freshPasswordManager.hasPassword();
-    console.log('Password check with fresh instance:', { hasPassword });
-    
-    // Update the global instance if needed
-    if (hasPassword && !passwordManager.hasPassword()) {
-        console.log('Updating global passwordManager instance');
-        passwordManager = freshPasswordManager;
+ipcMain.handle('wallet-send-token', async (event, { tokenAddress, to, amount } = {}) => {
+    try {
+        // Validate transaction data
+        if (!ethers.isAddress(tokenAddress) || !ethers.isAddress(to) || !amount || typeof amount !== 'string') {
+            return { success: false, error: 'Invalid token transfer data' };
+        }
+        
+        const token = walletManager.getTokens().find(t => t.address.toLowerCase() === tokenAddress.toLowerCase());
+        if (!token) {
+            return { success: false, error: 'Token not found in wallet' };
+        }
+        
+        // Confirm and sign the exact transfer, through the same decoding and simulation as other sends
+        const request = {
+            to: token.address,
+            data: transactionDecoder.erc20.encodeFunctionData('transfer', [to, ethers.parseUnits(amount, token.decimals)]),
+            value: 0n
+        };
+        if (!await confirmTransactionRequest(event, request)) {
+            return { success: false, error: 'Transaction cancelled by user' };
+        }
+        
+        const tx = await walletManager.getSigner().sendTransaction(request);
+        recordActivity(tx, { kind: 'token-send', description: `Send ${amount} ${token.symbol}` });
+        return { success: true, transaction: tx.hash };
+    } catch (error) {
+        return { success: false, error: error.message };
     }
-    
-    console.log('=== PASSWORD CHECK COMPLETE ===');
-    
-    return hasPassword;
 });
 
-ipcMain.handle('password-set', async (event, password) => {
+ipcMain.handle('wallet-approve-token', async (event, { tokenAddress, spender, amount } = {}) => {
     try {
-        // Validate password
-        if (!password || typeof password !== 'string' || password.length < 8) {
-            return { success: false, error: 'Password must be at least 8 characters' };
+        // Validate approval data
+        if (!ethers.isAddress(tokenAddress) || !ethers.isAddress(spender) || !amount || typeof amount !== 'string') {
+            return { success: false, error: 'Invalid token approval data' };
         }
         
-        await passwordManager.setPassword(password);
-        return { success: true };
+        const token = walletManager.getTokens().find(t => t.address.toLowerCase() === tokenAddress.toLowerCase());
+        if (!token) {
+            return { success: false, error: 'Token not found in wallet' };
+        }
+        
+        const amountLabel = amount === 'unlimited' ? `UNLIMITED ${token.symbol}` : `${amount} ${token.symbol}`;
+        
+        // Confirm and sign the exact approval; the confirmation warns about unlimited allowances
+        const request = {
+            to: token.address,
+            data: transactionDecoder.erc20.encodeFunctionData('approve', [
+                spender,
+                amount === 'unlimited' ? ethers.MaxUint256 : ethers.parseUnits(amount, token.decimals)
+            ]),
+            value: 0n
+        };
+        if (!await confirmTransactionRequest(event, request)) {
+            return { success: false, error: 'Transaction cancelled by user' };
+        }
+        
+        const tx = await walletManager.getSigner().sendTransaction(request);
+        recordActivity(tx, { kind: 'approve', description: `Approve ${amountLabel}` });
+        return { success: true, transaction: tx.hash };
     } catch (error) {
         return { success: false, error: error.message };
     }
 });
 
-ipcMain.handle('password-verify', async (event, password) => {
+// Allowances granted by the active account for each imported token
+ipcMain.handle('wallet-get-allowances', async () => {
     try {
-        if (!password || typeof password !== 'string') {
-            return { success: false, error: 'Invalid password' };
+        const walletData = walletManager.loadWallet();
+        if (!walletData) {
+            return { success: true, allowances: [] };
+        }
+        if (!walletManager.provider || !walletManager.network) {
+            return { success: false, error: 'No network connected' };
         }
         
-        await passwordManager.verifyPassword(password);
-        return { success: true };
+        const chainId = networkRegistry.normalizeChainId(walletManager.network.chainId);
+        const tokens = walletManager.getTokens().filter(token => !token.chainId || token.chainId === Number(BigInt(chainId)));
+        const history = transactionHistory.getActivity(walletData.address, chainId);
+        const allowances = [];
+        
+        for (const token of tokens) {
+            // Spenders from our own approvals plus Approval events on chain
+            const spenders = new Set();
+            history
+                .filter(entry => entry.to && entry.to.toLowerCase() === token.address.toLowerCase())
+                .forEach(entry => {
+                    const decoded = transactionDecoder.decodeCalldata(entry.to, entry.data);
+                    if (decoded && ['approve', 'increaseAllowance'].includes(decoded.method)) {
+                        spenders.add(ethers.getAddress(decoded.args[0]));
+                    }
+                });
+            
+            try {
+                (await walletManager.getApprovalSpenders(token.address, walletData.address)).forEach(spender => spenders.add(spender));
+            } catch (error) {
+                console.error(`Error loading Approval events for ${token.symbol}:`, error.message);
+            }
+            
+            for (const spender of spenders) {
+                const allowance = await walletManager.getAllowance(token.address, walletData.address, spender);
+                if (allowance > 0n) {
+                    allowances.push({
+                        token: { address: token.address, name: token.name, symbol: token.symbol },
+                        spender,
+                        allowance: ethers.formatUnits(allowance, token.decimals),
+                        unlimited: transactionDecoder.isUnlimitedAllowance(allowance)
+                    });
+                }
+            }
+        }
+        
+        return { success: true, allowances };
     } catch (error) {
         return { success: false, error: error.message };
     }
 });
 
-ipcMain.handle('password-change', async (event, { oldPassword, newPassword }) => {
+// Revoke an allowance by sending approve(spender, 0) through the normal confirmation
+ipcMain.handle('wallet-revoke-allowance', async (event, { tokenAddress, spender } = {}) => {
     try {
-        // Validate inputs
-        if (!oldPassword || !newPassword || typeof oldPassword !== 'string' || typeof newPassword !== 'string') {
-            return { success: false, error: 'Invalid password data' };
+        if (!ethers.isAddress(tokenAddress) || !ethers.isAddress(spender)) {
+            return { success: false, error: 'Invalid allowance data' };
+        }
+        if (!passwordManager.isWalletUnlocked()) {
+            return { success: false, error: 'Wallet is locked' };
         }
         
-        if (newPassword.length < 8) {
-            return { success: false, error: 'New password must be at least 8 characters' };
+        const token = walletManager.getTokens().find(t => t.address.toLowerCase() === tokenAddress.toLowerCase());
+        if (!token) {
+            return { success: false, error: 'Token not found in wallet' };
         }
         
-        await passwordManager.changePassword(oldPassword, newPassword);
-        return { success: true };
+        const request = {
+            to: token.address,
+            data: transactionDecoder.erc20.encodeFunctionData('approve', [spender, 0n]),
+            value: 0n
+        };
+        if (!await confirmTransactionRequest(event, request)) {
+            return { success: false, error: 'Transaction cancelled by user' };
+        }
+        
+        const tx = await walletManager.getSigner().sendTransaction(request);
+        recordActivity(tx, { kind: 'approve', description: `Revoke ${token.symbol} allowance` });
+        return { success: true, transaction: tx.hash };
     } catch (error) {
         return { success: false, error: error.message };
     }
 });
 
-ipcMain.handle('wallet-lock', async () => {
-    passwordManager.lockWallet();
-    return { success: true };
-});
+// ==========================================
+// EB DOMAIN MANAGEMENT
+// ==========================================
 
-ipcMain.handle('wallet-check-unlocked', async () => {
+const EDITABLE_DOMAIN_RECORDS = ['url', 'ipfs', 'ip', 'forward-path', 'subdomains'];
+
+// Subdomain labels, e.g. "shop" or "eu.shop"
+const SUBDOMAIN_LABEL_PATTERN = /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*$/;
+
+// Validate a record value before writing it on chain (empty clears the record)
+function validateDomainRecord(key, value) {
+    const subdomainLabel = typeof key === 'string' && key.startsWith('subdomain:') ? key.slice('subdomain:'.length) : null;
+    if (!EDITABLE_DOMAIN_RECORDS.includes(key) && !(subdomainLabel && SUBDOMAIN_LABEL_PATTERN.test(subdomainLabel))) {
+        throw new Error(`Unsupported record: ${key}`);
+    }
+    if (typeof value !== 'string') {
+        throw new Error('Invalid record value');
+    }
+    
+    const trimmed = value.trim();
+    if (!trimmed) {
+        return '';
+    }
+    
+    // A subdomain target is validated as whichever record type it holds
+    if (subdomainLabel) {
+        const [type] = Object.keys(domainResolver.parseRecordTarget(trimmed));
+        if (!['url', 'ipfs', 'ip'].includes(type)) {
+            throw new Error('Subdomain target must be an https:// address, an IPFS CID or ipns:// name, or an IP address');
+        }
+        return validateDomainRecord(type, trimmed);
+    }
+    
+    if (key === 'forward-path') {
+        if (!/^(true|false)$/.test(trimmed)) {
+            throw new Error('forward-path must be true or false');
+        }
+    } else if (key === 'subdomains') {
+        const labels = trimmed.split(',').map(label => label.trim());
+        if (!labels.every(label => SUBDOMAIN_LABEL_PATTERN.test(label))) {
+            throw new Error('Subdomain labels use letters, numbers and hyphens');
+        }
+        return labels.join(',');
+    } else if (key === 'url') {
+        const url = new URL(/^https?:\/\//.test(trimmed) ? trimmed : `https://${trimmed}`);
+        if (!['http:', 'https:'].includes(url.protocol) || !url.hostname.includes('.')) {
+            throw new Error('URL record must be a web address');
+        }
+    } else if (key === 'ipfs') {
+        if (!/^(ipfs:\/\/)?[a-zA-Z0-9]{46,}(\/.*)?$/.test(trimmed) && !/^ipns:\/\/[a-zA-Z0-9.-]+(\/.*)?$/.test(trimmed)) {
+            throw new Error('IPFS record must be a CID or an ipns:// name');
+        }
+    } else if (key === 'ip') {
+        const ipv4 = /^(25[0-5]|2[0-4]\d|1?\d?\d)(\.(25[0-5]|2[0-4]\d|1?\d?\d)){3}$/;
+        const ipv6 = /^([0-9a-fA-F]{0,4}:){7}[0-9a-fA-F]{0,4}$/;
+        if (!ipv4.test(trimmed) && !ipv6.test(trimmed)) {
+            throw new Error('IP record must be an IPv4 or IPv6 address');
+        }
+    }
+    
+    return trimmed;
+}
+
+// Domain writes need an unlocked wallet on the chain the domains contract lives on
+async function ensureDomainsNetwork() {
+    if (!domainResolver) {
+        throw new Error('Domain resolver is not ready');
+    }
+    if (!passwordManager.isWalletUnlocked()) {
+        throw new Error('Wallet is locked');
+    }
+    
+    const guapcoinX = networkRegistry.getNetwork('0x115c7');
+    if (!walletManager.network || networkRegistry.normalizeChainId(walletManager.network.chainId) !== guapcoinX.chainId) {
+        throw new Error(`Switch to ${guapcoinX.name} to manage domains`);
+    }
+}
+
+// Check the active account owns a domain token before writing to it
+async function prepareDomainWrite(tokenId) {
+    await ensureDomainsNetwork();
+    
+    const walletData = walletManager.loadWallet();
+    const id = BigInt(tokenId);
+    const [name, tld, owner] = await domainResolver.contract.getDomainInfo(id);
+    if (owner.toLowerCase() !== walletData.address.toLowerCase()) {
+        throw new Error('The active account does not own this domain');
+    }
+    
+    return { id, domain: `${name}${tld}`, owner: walletData.address };
+}
+
+// Send a domains-contract call through the normal confirmation flow; null when declined
+async function sendDomainTransaction(event, data, description, { to = domainResolver.contractAddress, value = 0n, kind = 'domain' } = {}) {
+    const request = { to, data, value };
+    if (!await confirmTransactionRequest(event, request)) {
+        return null;
+    }
+    
+    const tx = await walletManager.getSigner().sendTransaction(request);
+    recordActivity(tx, { kind, description });
+    passwordManager.resetActivityTimer();
+    return tx;
+}
+
+// How long registration waits for the GUAP approval to be mined
+const REGISTRATION_APPROVAL_TIMEOUT = 120000;
+
+// Registration quote with the price formatted in the payment currency
+async function getDomainRegistrationQuote(name, tld) {
+    const quote = await domainResolver.getRegistrationQuote(name, tld);
+    const currency = quote.paymentToken
+        ? await transactionDecoder.getTokenInfo(domainResolver.provider, quote.paymentToken, walletManager.getTokens())
+        : { symbol: 'GUAP', decimals: 18 };
+    
+    return {
+        ...quote,
+        symbol: currency.symbol || 'GUAP',
+        decimals: currency.decimals === null ? 18 : currency.decimals,
+        priceFormatted: ethers.formatUnits(quote.price, currency.decimals === null ? 18 : currency.decimals)
+    };
+}
+
+// Quote shape sent to the renderer (bigints do not cross IPC cleanly)
+function serializeRegistrationQuote(quote) {
+    return {
+        domain: quote.fullDomain,
+        name: quote.name,
+        tld: quote.tld,
+        available: quote.available,
+        supported: quote.supported,
+        protected: quote.protected,
+        price: quote.priceFormatted,
+        symbol: quote.symbol,
+        paymentToken: quote.paymentToken
+    };
+}
+
+// Page the browser should load for an EB domain typed into the URL bar
+ipcMain.handle('resolve-domain', async (event, url) => {
+    if (!domainResolver || !domainResolver.isEBDomain(url)) {
+        return { error: 'Not an EB domain' };
+    }
+    
+    return { url: ebProtocol.toProtocolUrl(url) };
+});
+
+// Primary EB domain names for wallet addresses
+ipcMain.handle('domains-reverse-resolve', async (event, addresses) => {
+    try {
+        if (!Array.isArray(addresses) || addresses.length > 50 || !addresses.every(address => ethers.isAddress(address))) {
+            return { success: false, error: 'Invalid addresses' };
+        }
+        if (!domainResolver) {
+            return { success: false, error: 'Domain resolver is not ready' };
+        }
+        
+        return { success: true, names: await domainResolver.getPrimaryDomains(addresses) };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+// Current owner of a domain entered as a payment recipient
+ipcMain.handle('domains-resolve-recipient', async (event, name) => {
+    try {
+        if (!domainResolver) {
+            return { success: false, error: 'Domain resolver is not ready' };
+        }
+        
+        const recipient = await domainResolver.resolveOwner(name);
+        return { success: true, domain: recipient.domain, address: recipient.address };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+// "Proceed anyway" on the blacklist interstitial; only that page, on that domain, may ask
+ipcMain.handle('domains-allow-blacklisted', async (event, domain) => {
+    try {
+        const pageUrl = new URL(event.sender.getURL());
+        if (pageUrl.protocol !== `${EBProtocolHandler.EB_SCHEME}:` || typeof domain !== 'string' ||
+            pageUrl.hostname !== domain.toLowerCase()) {
+            return { success: false, error: 'Not allowed from this page' };
+        }
+        
+        // Nothing to allow unless the domain really is blacklisted right now
+        const resolved = await domainResolver.resolveDomain(domain);
+        if (!resolved || !resolved.blacklisted) {
+            return { success: false, error: 'Domain is not blacklisted' };
+        }
+        
+        ebProtocol.allowBlacklisted(domain);
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('domains-get-owned', async () => {
+    try {
+        const walletData = walletManager.loadWallet();
+        if (!walletData) {
+            return { success: true, domains: [] };
+        }
+        if (!domainResolver) {
+            return { success: false, error: 'Domain resolver is not ready' };
+        }
+        
+        const domains = await domainResolver.getOwnedDomains(walletData.address);
+        return { success: true, domains };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('domains-set-record', async (event, { tokenId, key, value } = {}) => {
+    try {
+        const record = validateDomainRecord(key, value);
+        const { id, domain } = await prepareDomainWrite(tokenId);
+        
+        const data = domainResolver.contract.interface.encodeFunctionData('setRecord', [id, key, record]);
+        const tx = await sendDomainTransaction(event, data, `Set ${key} record for ${domain}`);
+        if (!tx) {
+            return { success: false, error: 'Transaction cancelled by user' };
+        }
+        
+        domainResolver.noteRecordKey(id, key, record);
+        domainResolver.invalidate(domain);
+        return { success: true, transaction: tx.hash };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('domains-transfer', async (event, { tokenId, to } = {}) => {
+    try {
+        if (!ethers.isAddress(to)) {
+            return { success: false, error: 'Invalid recipient address' };
+        }
+        
+        const { id, domain, owner } = await prepareDomainWrite(tokenId);
+        if (ethers.getAddress(to) === ethers.getAddress(owner)) {
+            return { success: false, error: 'Recipient already owns this domain' };
+        }
+        
+        const data = domainResolver.contract.interface.encodeFunctionData(
+            'safeTransferFrom(address,address,uint256)',
+            [owner, ethers.getAddress(to), id]
+        );
+        const tx = await sendDomainTransaction(event, data, `Transfer ${domain}`);
+        if (!tx) {
+            return { success: false, error: 'Transaction cancelled by user' };
+        }
+        
+        domainResolver.invalidate(domain);
+        return { success: true, transaction: tx.hash };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('domains-get-registration-quote', async (event, { name, tld } = {}) => {
+    try {
+        if (!domainResolver) {
+            return { success: false, error: 'Domain resolver is not ready' };
+        }
+        
+        const quote = await getDomainRegistrationQuote(name, tld);
+        return { success: true, quote: serializeRegistrationQuote(quote) };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('domains-register', async (event, { name, tld } = {}) => {
+    try {
+        await ensureDomainsNetwork();
+        
+        // Re-check on chain rather than trusting the quote the renderer showed
+        const quote = await getDomainRegistrationQuote(name, tld);
+        if (!quote.supported) {
+            return { success: false, error: `${quote.tld} domains are not open for registration` };
+        }
+        if (!quote.available) {
+            return { success: false, error: `${quote.fullDomain} is already registered` };
+        }
+        if (quote.price === 0n) {
+            return { success: false, error: `${quote.tld} domains cannot be registered with GUAP` };
+        }
+        
+        const window = getWindowForSender(event.sender);
+        if (quote.protected) {
+            const result = await dialog.showMessageBox(window, {
+                type: 'warning',
+                buttons: ['Cancel', 'Continue'],
+                defaultId: 0,
+                cancelId: 0,
+                title: 'Protected Brand',
+                message: `"${quote.name}" is a protected brand name`,
+                detail: 'Registration of protected brands is reserved for the brand owner and will fail unless this wallet has been authorized to claim it. A failed registration still costs network fees.',
+                noLink: true
+            });
+            if (result.response !== 1) {
+                return { success: false, error: 'Registration cancelled by user' };
+            }
+        }
+        
+        const owner = walletManager.loadWallet().address;
+        const priceLabel = `${quote.priceFormatted} ${quote.symbol}`;
+        
+        // Token payments need an allowance for the domains contract first
+        if (quote.paymentToken) {
+            const allowance = await walletManager.getAllowance(quote.paymentToken, owner, domainResolver.contractAddress);
+            if (allowance < quote.price) {
+                const approveData = transactionDecoder.erc20.encodeFunctionData('approve', [domainResolver.contractAddress, quote.price]);
+                const approval = await sendDomainTransaction(event, approveData, `Approve ${priceLabel} for ${quote.fullDomain}`, {
+                    to: quote.paymentToken,
+                    kind: 'approve'
+                });
+                if (!approval) {
+                    return { success: false, error: 'Transaction cancelled by user' };
+                }
+                
+                const receipt = await approval.wait(1, REGISTRATION_APPROVAL_TIMEOUT);
+                if (!receipt || receipt.status !== 1) {
+                    return { success: false, error: 'GUAP approval failed, domain was not registered' };
+                }
+            }
+        }
+        
+        const registerData = domainResolver.contract.interface.encodeFunctionData('registerDomainWithGUAP', [quote.name, quote.tld]);
+        const tx = await sendDomainTransaction(event, registerData, `Register ${quote.fullDomain} for ${priceLabel}`, {
+            value: quote.paymentToken ? 0n : quote.price
+        });
+        if (!tx) {
+            return { success: false, error: 'Transaction cancelled by user' };
+        }
+        
+        domainResolver.invalidate(quote.fullDomain);
+        return { success: true, transaction: tx.hash, domain: quote.fullDomain };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+// IPFS gateway settings, with this session's gateway health
+ipcMain.handle('ipfs-get-settings', async () => {
+    try {
+        return { success: true, settings: ipfsFetcher.getSettings(), health: ipfsFetcher.getHealth() };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('ipfs-update-settings', async (event, { gateways, localGateway } = {}) => {
+    try {
+        const settings = ipfsFetcher.updateSettings({ gateways, localGateway });
+        return { success: true, settings, health: ipfsFetcher.getHealth() };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+// Session restore handlers
+ipcMain.handle('session-save', async (event, snapshot) => {
+    try {
+        const win = BrowserWindow.fromWebContents(event.sender);
+        if (!win || !sessionStore) {
+            return { success: false, error: 'No browser window' };
+        }
+
+        const bounds = win.isMaximized() ? { ...win.getNormalBounds(), isMaximized: true } : { ...win.getBounds(), isMaximized: false };
+        sessionStore.saveWindow(win.id, snapshot, bounds);
+        return { success: true };
+    } catch (error) {
+        console.error('Session save error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// Tabs this window should reopen with; handed out once
+ipcMain.handle('session-take-restore', async (event) => {
+    const savedSession = pendingSessions.get(event.sender.id) || null;
+    pendingSessions.delete(event.sender.id);
+    return { success: true, session: savedSession ? { tabs: savedSession.tabs, activeIndex: savedSession.activeIndex } : null };
+});
+
+// Tab strip context menu; the chosen command is sent back to the window that asked
+ipcMain.handle('tab-context-menu', async (event, { tabId, pinned, tabCount } = {}) => {
+    const win = BrowserWindow.fromWebContents(event.sender);
+    if (!win || typeof tabId !== 'string') {
+        return { success: false, error: 'No browser window' };
+    }
+
+    const command = (name, windowId = null) => () => event.sender.send('tab-context-command', tabId, name, windowId);
+    const otherWindows = [...browserWindowIds]
+        .filter(id => id !== win.id)
+        .map(id => BrowserWindow.fromId(id))
+        .filter(other => other && !other.isDestroyed());
+
+    const template = [
+        { label: 'New Tab to the Right', click: command('new-tab') },
+        { label: 'Duplicate', click: command('duplicate') },
+        { label: pinned ? 'Unpin' : 'Pin', click: command(pinned ? 'unpin' : 'pin') },
+        { type: 'separator' },
+        { label: 'Move to New Window', enabled: tabCount > 1, click: command('move-to-new-window') }
+    ];
+    if (otherWindows.length > 0) {
+        template.push({
+            label: 'Move to Window',
+            submenu: otherWindows.map(other => ({ label: other.getTitle(), click: command('move-to-window', other.id) }))
+        });
+    }
+    template.push({ type: 'separator' }, { label: 'Close Tab', enabled: tabCount > 1, click: command('close') });
+
+    Menu.buildFromTemplate(template).popup({ window: win });
+    return { success: true };
+});
+
+// Recreate a tab in another browser window, or in a new one when windowId is null
+ipcMain.handle('tab-move-to-window', async (event, { state, windowId } = {}) => {
+    try {
+        const source = BrowserWindow.fromWebContents(event.sender);
+        const snapshot = sessionStore.sanitize({ tabs: [state], activeIndex: 0 });
+        if (!source || snapshot.tabs.length === 0) {
+            return { success: false, error: 'This tab cannot be moved' };
+        }
+
+        if (windowId === null) {
+            createWindow(snapshot);
+            return { success: true };
+        }
+
+        const target = browserWindowIds.has(windowId) ? BrowserWindow.fromId(windowId) : null;
+        if (!target || target.isDestroyed() || target.id === source.id) {
+            return { success: false, error: 'That window is no longer open' };
+        }
+
+        target.webContents.send('tab-adopt', snapshot.tabs[0]);
+        target.focus();
+        return { success: true };
+    } catch (error) {
+        console.error('Move tab error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// Background tabs hibernate early while the browser's processes use more than this share of
+// physical memory. System "free" memory leaves out reclaimable page cache, so it reads low on a healthy machine.
+const MEMORY_PRESSURE_APP_RATIO = 0.4;
+
+ipcMain.handle('tabs-memory-status', async () => {
+    try {
+        // Both figures are in kilobytes
+        const { total } = process.getSystemMemoryInfo();
+        const used = app.getAppMetrics().reduce((sum, metric) => sum + metric.memory.workingSetSize, 0);
+        return { success: true, pressure: used / total > MEMORY_PRESSURE_APP_RATIO };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('tab-record-closed', async (event, state) => {
+    try {
+        sessionStore.recordClosedTab(state);
+        notifyRecentlyClosed();
+        return { success: true };
+    } catch (error) {
+        console.error('Record closed tab error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('recently-closed-get', async () => {
+    try {
+        return { success: true, entries: sessionStore.getRecentlyClosed() };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('recently-closed-reopen', async (event, id) => {
+    if (!Number.isInteger(id)) {
+        return { success: false, error: 'Invalid entry' };
+    }
+    if (!reopenRecentlyClosed(id, BrowserWindow.fromWebContents(event.sender))) {
+        return { success: false, error: 'That tab is no longer in the recently closed list' };
+    }
+    return { success: true };
+});
+
+ipcMain.handle('session-get-settings', async () => {
+    try {
+        return { success: true, settings: sessionStore.getSettings() };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('session-update-settings', async (event, { startupMode, hibernateAfterMinutes } = {}) => {
+    try {
+        return { success: true, settings: sessionStore.updateSettings({ startupMode, hibernateAfterMinutes }) };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+// Password handlers
+ipcMain.handle('password-check-exists', async () => {
+    console.log('=== PASSWORD CHECK STARTED ===');
+    
+    // Always create a fresh instance for password checking to avoid cache issues
+    const PasswordManager = require('./passwordManager');
+    const freshPasswordManager = new PasswordManager();
+    
+    const hasPassword = freshPasswordManager.hasPassword();
+    console.log('Password check with fresh instance:', { hasPassword });
+    
+    // Update the global instance if needed
+    if (hasPassword && !passwordManager.hasPassword()) {
+        console.log('Updating global passwordManager instance');
+        passwordManager = bindWalletLock(freshPasswordManager);
+    }
+    
+    console.log('=== PASSWORD CHECK COMPLETE ===');
+    
+    return hasPassword;
+});
+
+ipcMain.handle('password-set', async (event, password) => {
+    try {
+        // Only the browser's own UI may set the first password; web pages never can
+        if (!isBrowserWindowSender(event.sender)) {
+            return { success: false, error: 'Not allowed from this page' };
+        }
+        
+        if (passwordManager.hasPassword()) {
+            return { success: false, error: 'A password is already set. Use change password instead.' };
+        }
+        
+        // Validate password
+        if (!password || typeof password !== 'string' || password.length < 8) {
+            return { success: false, error: 'Password must be at least 8 characters' };
+        }
+        
+        await passwordManager.setPassword(password);
+        
+        // Seal any wallet created before a password existed
+        if (walletManager.hasWallet()) {
+            try {
+                walletManager.unlock(passwordManager.getEncryption());
+            } catch (error) {
+                console.error('Could not unlock existing wallet with new password:', error.message);
+                return { success: false, error: `Password saved, but the existing wallet could not be unlocked: ${error.message}` };
+            }
+        }
+        
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('password-verify', async (event, password) => {
+    try {
+        if (!password || typeof password !== 'string') {
+            return { success: false, error: 'Invalid password' };
+        }
+        
+        await passwordManager.verifyPassword(password);
+        
+        // Decrypt wallet secrets into memory (migrates legacy plaintext wallets)
+        walletManager.unlock(passwordManager.getEncryption());
+        
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('password-change', async (event, { oldPassword, newPassword }) => {
+    try {
+        // Validate inputs
+        if (!oldPassword || !newPassword || typeof oldPassword !== 'string' || typeof newPassword !== 'string') {
+            return { success: false, error: 'Invalid password data' };
+        }
+        
+        if (newPassword.length < 8) {
+            return { success: false, error: 'New password must be at least 8 characters' };
+        }
+        
+        await passwordManager.changePassword(oldPassword, newPassword, (previous, next) => {
+            walletManager.reencrypt(previous, next);
+        });
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('wallet-lock', async () => {
+    passwordManager.lockWallet();
+    walletManager.lock();
+    return { success: true };
+});
+
+ipcMain.handle('wallet-check-unlocked', async () => {
     return passwordManager.isWalletUnlocked();
 });
 
-ipcMain.handle('wallet-reset-activity', async () => {
-    passwordManager.resetActivityTimer();
-    return { success: true };
+ipcMain.handle('wallet-reset-activity', async () => {
+    passwordManager.resetActivityTimer();
+    return { success: true };
+});
+
+// Ethereum Provider IPC Handlers with security
+ipcMain.handle('wallet-request-accounts', async (event) => {
+    try {
+        console.log('[Main] wallet-request-accounts called');
+        const window = getWindowForSender(event.sender);
+        
+        if (!walletManager.hasWallet()) {
+            console.log('[Main] No wallet found');
+            if (window) {
+                window.webContents.send('show-web3-panel');
+            }
+            return [];
+        }
+        
+        const isUnlocked = passwordManager.isWalletUnlocked();
+        if (!isUnlocked) {
+            console.log('[Main] Wallet is locked, prompting user');
+            if (window) {
+                window.webContents.send('show-web3-panel-unlock');
+            }
+            return [];
+        }
+        
+        const origin = getRequestOrigin(event.sender);
+        let accounts = getConnectedAccounts(origin);
+        
+        if (accounts.length === 0) {
+            accounts = await requestOriginConnection(event, origin);
+        }
+        
+        console.log('[Main] Returning accounts for', origin, accounts);
+        return accounts;
+    } catch (error) {
+        console.error('Request accounts error:', error);
+        if (error.message === USER_REJECTED_MESSAGE) {
+            return { success: false, code: 4001, error: USER_REJECTED_MESSAGE };
+        }
+        return [];
+    }
+});
+
+ipcMain.handle('wallet-get-accounts', async (event, data) => {
+    try {
+        if (!walletManager.hasWallet() || !passwordManager.isWalletUnlocked()) {
+            return [];
+        }
+        
+        // Only origins the user approved can see accounts
+        return getConnectedAccounts(getRequestOrigin(event.sender));
+    } catch (error) {
+        console.error('Get accounts error:', error);
+        return [];
+    }
+});
+
+ipcMain.handle('wallet-get-address', async () => {
+    try {
+        if (!walletManager.hasWallet() || !passwordManager.isWalletUnlocked()) {
+            return null;
+        }
+        return walletManager.loadWallet().address;
+    } catch (error) {
+        console.error('Get address error:', error);
+        return null;
+    }
+});
+
+// HD account management for the Web3 panel
+ipcMain.handle('wallet-list-accounts', async () => {
+    try {
+        const walletData = walletManager.loadWallet();
+        if (!walletData) {
+            return { success: true, accounts: [], activeAddress: null };
+        }
+        return { success: true, accounts: walletData.accounts, activeAddress: walletData.address };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('wallet-add-account', async (event, label) => {
+    try {
+        if (!passwordManager.isWalletUnlocked()) {
+            return { success: false, error: 'Wallet is locked' };
+        }
+        
+        const account = walletManager.addAccount(label || null);
+        passwordManager.resetActivityTimer();
+        return { success: true, account };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('wallet-rename-account', async (event, { address, label } = {}) => {
+    try {
+        const account = walletManager.renameAccount(address, label);
+        return { success: true, account };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('wallet-set-active-account', async (event, address) => {
+    try {
+        const previous = getConnectedAccountsByOrigin();
+        const account = walletManager.setActiveAccount(address);
+        
+        // Connected sites that can see the new account get it first in their list
+        notifyAccountsChanged(previous);
+        return { success: true, account };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+// ==========================================
+// EIP-1193 SIGNING AND RPC HANDLERS
+// ==========================================
+
+const USER_REJECTED_MESSAGE = 'User rejected the request';
+
+// Resolve the window hosting a request, including requests made from webviews
+function getWindowForSender(sender) {
+    const host = sender.hostWebContents || sender;
+    return BrowserWindow.fromWebContents(host) || BrowserWindow.getFocusedWindow();
+}
+
+// Ask the browser window that hosts some web contents to open a URL in a new tab
+function openUrlInNewTab(contents, url) {
+    let host = contents;
+    while (host.hostWebContents) {
+        host = host.hostWebContents;
+    }
+    
+    // Popups from branded windows go to the main browser window instead
+    if (!host.getURL().includes('index.html')) {
+        const browserWindow = BrowserWindow.getAllWindows().find(win => win.webContents.getURL().includes('index.html'));
+        if (!browserWindow) return;
+        host = browserWindow.webContents;
+    }
+    
+    host.send('open-url-in-new-tab', url);
+}
+
+// Origin of the page that issued a provider request
+function getRequestOrigin(sender) {
+    try {
+        const url = new URL(sender.getURL());
+        // Node only derives origins for special schemes, but eb:// pages have a real one in Chromium
+        if (url.protocol === `${EBProtocolHandler.EB_SCHEME}:`) {
+            return `${url.protocol}//${url.host}`;
+        }
+        return url.origin !== 'null' ? url.origin : url.href.split(/[?#]/)[0];
+    } catch {
+        return 'Unknown origin';
+    }
+}
+
+// Signing needs an existing, unlocked wallet connected to the requesting origin
+function ensureWalletReadyForSigning(event, address) {
+    const window = getWindowForSender(event.sender);
+    
+    if (!walletManager.hasWallet()) {
+        if (window) window.webContents.send('show-web3-panel');
+        throw new Error('No wallet found');
+    }
+    
+    if (!passwordManager.isWalletUnlocked()) {
+        if (window) window.webContents.send('show-web3-panel-unlock');
+        throw new Error('Wallet is locked');
+    }
+    
+    // Only approved origins may request signatures, and only for their approved accounts
+    const accounts = getConnectedAccounts(getRequestOrigin(event.sender));
+    if (accounts.length === 0) {
+        throw new Error('This site is not connected to your wallet. Call eth_requestAccounts first.');
+    }
+    
+    // Sign with the requested account, or the first one exposed to this origin
+    const signingAddress = address
+        ? accounts.find(account => typeof address === 'string' && account.toLowerCase() === address.toLowerCase())
+        : accounts[0];
+    if (!signingAddress) {
+        throw new Error('Requested address is not connected to this site');
+    }
+    
+    return { address: signingAddress };
+}
+
+// Keep dialog text readable for very long messages
+function truncateForDialog(text, maxLength = 1200) {
+    return text.length > maxLength ? text.substring(0, maxLength) + '\n…(truncated)' : text;
+}
+
+// Show hex-encoded messages as text when they are valid UTF-8
+function decodeSignMessage(message) {
+    if (typeof message === 'string' && ethers.isHexString(message)) {
+        try {
+            return ethers.toUtf8String(message);
+        } catch {
+            return message;
+        }
+    }
+    return String(message);
+}
+
+// Ask the user to approve a signature request, rejecting the call otherwise
+async function confirmSignatureRequest(event, { title, message, detail, type = 'question' }) {
+    const result = await dialog.showMessageBox(getWindowForSender(event.sender), {
+        type,
+        buttons: ['Reject', 'Sign'],
+        defaultId: 0,
+        cancelId: 0,
+        title,
+        message,
+        detail: truncateForDialog(detail),
+        noLink: true
+    });
+    
+    if (result.response !== 1) {
+        throw new Error(USER_REJECTED_MESSAGE);
+    }
+    
+    passwordManager.resetActivityTimer();
+}
+
+// personal_sign
+ipcMain.handle('wallet-personal-sign', async (event, { message, address } = {}) => {
+    if (typeof message !== 'string') {
+        throw new Error('Invalid message');
+    }
+    
+    const walletData = ensureWalletReadyForSigning(event, address);
+    const origin = getRequestOrigin(event.sender);
+    
+    await confirmSignatureRequest(event, {
+        title: 'Signature Request',
+        message: `${origin} is asking you to sign a message`,
+        detail: `Account: ${walletData.address}\n\nMessage:\n${decodeSignMessage(message)}`
+    });
+    
+    return await walletManager.signMessage(message, walletData.address);
+});
+
+// eth_sign (signs a raw hash, so warn accordingly)
+ipcMain.handle('wallet-sign-message', async (event, { address, message } = {}) => {
+    if (typeof message !== 'string') {
+        throw new Error('Invalid message');
+    }
+    
+    const walletData = ensureWalletReadyForSigning(event, address);
+    const origin = getRequestOrigin(event.sender);
+    
+    await confirmSignatureRequest(event, {
+        type: 'warning',
+        title: 'Signature Request',
+        message: `${origin} is asking you to sign a raw hash (eth_sign)`,
+        detail: `Account: ${walletData.address}\n\nHash:\n${message}\n\nSigning an opaque hash can authorize transactions or transfers. Only sign if you fully trust this site.`
+    });
+    
+    return walletManager.signHash(message, walletData.address);
+});
+
+// eth_signTypedData_v3 / eth_signTypedData_v4
+ipcMain.handle('wallet-sign-typed-data', async (event, { address, typedData } = {}) => {
+    let data = typedData;
+    if (typeof data === 'string') {
+        try {
+            data = JSON.parse(data);
+        } catch {
+            throw new Error('Invalid typed data');
+        }
+    }
+    
+    if (Array.isArray(data)) {
+        throw new Error('Legacy eth_signTypedData (v1) is not supported');
+    }
+    if (!data || typeof data !== 'object' || !data.types || !data.message) {
+        throw new Error('Invalid typed data');
+    }
+    
+    const walletData = ensureWalletReadyForSigning(event, address);
+    const origin = getRequestOrigin(event.sender);
+    const domain = data.domain || {};
+    
+    const domainLines = [
+        `Domain: ${domain.name || 'Unnamed'}${domain.version ? ` (v${domain.version})` : ''}`,
+        `Chain ID: ${domain.chainId !== undefined ? Number(domain.chainId) : 'Not specified'}`,
+        `Contract: ${domain.verifyingContract || 'Not specified'}`,
+        `Primary type: ${data.primaryType || 'Unknown'}`
+    ];
+    
+    // Flag signatures bound to a different chain than the connected one
+    if (domain.chainId !== undefined && walletManager.provider) {
+        try {
+            const network = await walletManager.provider.getNetwork();
+            if (BigInt(domain.chainId) !== network.chainId) {
+                domainLines.push(`WARNING: This request is for chain ${Number(domain.chainId)}, but you are connected to chain ${network.chainId}.`);
+            }
+        } catch (error) {
+            console.error('Typed data chain check failed:', error);
+        }
+    }
+    
+    await confirmSignatureRequest(event, {
+        title: 'Signature Request',
+        message: `${origin} is asking you to sign typed data`,
+        detail: `Account: ${walletData.address}\n\n${domainLines.join('\n')}\n\nMessage:\n${JSON.stringify(data.message, null, 2)}`
+    });
+    
+    return await walletManager.signTypedData(domain, data.types, data.message, walletData.address);
+});
+
+// eth_call
+ipcMain.handle('wallet-eth-call', async (event, { callData, blockTag } = {}) => {
+    return await walletManager.call(callData, blockTag || 'latest');
 });
 
-// Ethereum Provider IPC Handlers with security
-ipcMain.handle('wallet-request-accounts', async (event) => {
-    try {
-        console.log('[Main] wallet-request-accounts called');
-        
-        if (!walletManager.wallet) {
-            console.log('[Main] No wallet found');
-            const windows = BrowserWindow.getAllWindows();
-            if (windows.length > 0) {
-                windows[0].webContents.send('show-web3-panel');
-            }
-            return [];
+// eth_estimateGas
+ipcMain.handle('wallet-estimate-gas', async (event, tx) => {
+    const gas = await walletManager.estimateGas(tx);
+    return ethers.toQuantity(gas);
+});
+
+// eth_gasPrice
+ipcMain.handle('wallet-get-gas-price', async () => {
+    const gasPrice = await walletManager.getGasPrice();
+    return ethers.toQuantity(gasPrice || 0n);
+});
+
+// eth_getTransactionCount
+ipcMain.handle('wallet-get-transaction-count', async (event, { address, blockTag } = {}) => {
+    if (!address || !ethers.isAddress(address)) {
+        throw new Error('Invalid address');
+    }
+    
+    const count = await walletManager.getTransactionCount(address, blockTag || 'latest');
+    return ethers.toQuantity(count);
+});
+
+// eth_sendRawTransaction
+ipcMain.handle('wallet-send-raw-transaction', async (event, signedTx) => {
+    if (!ethers.isHexString(signedTx)) {
+        throw new Error('Invalid signed transaction');
+    }
+    
+    return await walletManager.sendRawTransaction(signedTx);
+});
+
+// ==========================================
+// NETWORK REGISTRY HANDLERS
+// ==========================================
+
+// Tell the browser UI and every page that the active chain changed
+function broadcastChainChanged(network) {
+    webContents.getAllWebContents().forEach(contents => {
+        if (!contents.isDestroyed()) {
+            contents.send('wallet-network-changed', network.chainId);
         }
+    });
+}
+
+// Make a registry network active, reconnect the wallet and notify pages
+async function activateNetwork(chainId) {
+    const previous = networkRegistry.getActiveNetwork();
+    const network = networkRegistry.setActiveNetwork(chainId);
+    
+    try {
+        await walletManager.connectToChain(network);
+    } catch (error) {
+        // The switch still applies; RPC calls will fail until an endpoint answers
+        console.error(`Failed to connect to ${network.name}:`, error.message);
+    }
+    
+    if (previous.chainId !== network.chainId) {
+        broadcastChainChanged(network);
+    }
+    return network;
+}
+
+ipcMain.handle('network-list', async () => {
+    try {
+        return { success: true, networks: networkRegistry.getNetworks(), activeChainId: networkRegistry.getActiveNetwork().chainId };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('network-get-active', async () => {
+    try {
+        return { success: true, network: networkRegistry.getActiveNetwork() };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+// Connect the wallet to whichever network is active
+ipcMain.handle('network-connect-active', async () => {
+    try {
+        const network = networkRegistry.getActiveNetwork();
+        await walletManager.connectToChain(network);
+        return { success: true, network };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+// Switch networks from the Web3 panel (the user is already in control, so no prompt)
+ipcMain.handle('network-set-active', async (event, chainId) => {
+    try {
+        const network = await activateNetwork(chainId);
+        return { success: true, network };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('network-add', async (event, data) => {
+    try {
+        const network = networkRegistry.addNetwork(data);
+        return { success: true, network };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('network-update', async (event, chainId, data) => {
+    try {
+        const network = networkRegistry.updateNetwork(chainId, data);
+        RpcPool.updateNetwork(network);
         
-        const isUnlocked = passwordManager.isWalletUnlocked();
-        if (!isUnlocked) {
-            console.log('[Main] Wallet is locked, prompting user');
-            const windows = BrowserWindow.getAllWindows();
-            if (windows.length > 0) {
-                windows[0].webContents.send('show-web3-panel-unlock');
-            }
-            return [];
+        // Reconnect if the active network's endpoints changed
+        if (networkRegistry.getActiveNetwork().chainId === network.chainId) {
+            await walletManager.connectToChain(network).catch(error => {
+                console.error(`Failed to reconnect to ${network.name}:`, error.message);
+            });
         }
-        
-        const address = walletManager.wallet.address;
-        console.log('[Main] Returning wallet address:', address);
-        
-        return [address];
+        return { success: true, network };
     } catch (error) {
-        console.error('Request accounts error:', error);
-        return [];
+        return { success: false, error: error.message };
     }
 });
 
-ipcMain.handle('wallet-get-accounts', async (event, data) => {
+// Endpoint health for the active network's RPC pool
+ipcMain.handle('network-rpc-status', async () => {
     try {
-        if (!walletManager.wallet || !passwordManager.isWalletUnlocked()) {
-            return [];
+        const status = await RpcPool.forNetwork(networkRegistry.getActiveNetwork()).getStatus();
+        return { success: true, status };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('network-remove', async (event, chainId) => {
+    try {
+        const networks = networkRegistry.removeNetwork(chainId);
+        return { success: true, networks };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+// eth_chainId / net_version for injected providers
+ipcMain.handle('wallet-get-chain-id', async () => {
+    return networkRegistry.getActiveNetwork().chainId;
+});
+
+// wallet_switchEthereumChain
+ipcMain.handle('wallet-switch-chain', async (event, { chainId } = {}) => {
+    try {
+        let network;
+        try {
+            network = networkRegistry.getNetwork(chainId);
+        } catch (error) {
+            return { success: false, code: -32602, error: error.message };
+        }
+        
+        if (!network) {
+            return { success: false, code: 4902, error: `Unrecognized chain ID "${chainId}". Try adding the chain using wallet_addEthereumChain first.` };
+        }
+        
+        if (networkRegistry.getActiveNetwork().chainId === network.chainId) {
+            return { success: true };
+        }
+        
+        const origin = getRequestOrigin(event.sender);
+        const result = await dialog.showMessageBox(getWindowForSender(event.sender), {
+            type: 'question',
+            buttons: ['Cancel', 'Switch Network'],
+            defaultId: 0,
+            cancelId: 0,
+            title: 'Switch Network',
+            message: `${origin} wants to switch the network to ${network.name}`,
+            detail: `Chain ID: ${parseInt(network.chainId)}\nRPC: ${network.rpcUrls[0]}\n\nThis changes the network for every open site.`,
+            noLink: true
+        });
+        
+        if (result.response !== 1) {
+            return { success: false, code: 4001, error: USER_REJECTED_MESSAGE };
         }
         
-        return [walletManager.wallet.address];
+        await activateNetwork(network.chainId);
+        return { success: true };
     } catch (error) {
-        console.error('Get accounts error:', error);
-        return [];
+        console.error('Switch chain error:', error);
+        return { success: false, code: -32603, error: error.message };
     }
 });
 
-ipcMain.handle('wallet-get-address', async () => {
+// wallet_addEthereumChain (EIP-3085)
+ipcMain.handle('wallet-add-chain', async (event, params) => {
     try {
-        if (!walletManager.wallet || !passwordManager.isWalletUnlocked()) {
-            return null;
+        let network;
+        try {
+            network = networkRegistry.fromAddEthereumChainParams(params);
+        } catch (error) {
+            return { success: false, code: -32602, error: error.message };
+        }
+        
+        const origin = getRequestOrigin(event.sender);
+        const existing = networkRegistry.getNetwork(network.chainId);
+        const detail = [
+            `Network: ${network.name}`,
+            `Chain ID: ${parseInt(network.chainId)}`,
+            `RPC: ${network.rpcUrls.join(', ')}`,
+            `Currency: ${network.nativeCurrency.symbol} (${network.nativeCurrency.decimals} decimals)`,
+            `Explorer: ${network.blockExplorerUrl || 'None'}`,
+            '',
+            'A malicious network can lie about balances and transaction results. Only add networks you trust.'
+        ].join('\n');
+        
+        const result = await dialog.showMessageBox(getWindowForSender(event.sender), {
+            type: 'question',
+            buttons: existing ? ['Cancel', 'Switch Network'] : ['Cancel', 'Add Network', 'Add and Switch'],
+            defaultId: 0,
+            cancelId: 0,
+            title: existing ? 'Switch Network' : 'Add Network',
+            message: existing
+                ? `${origin} wants to switch to ${existing.name}, which is already added`
+                : `${origin} wants to add ${network.name} to your wallet`,
+            detail,
+            noLink: true
+        });
+        
+        if (result.response === 0) {
+            return { success: false, code: 4001, error: USER_REJECTED_MESSAGE };
+        }
+        
+        if (!existing) {
+            networkRegistry.addNetwork(network);
         }
-        return walletManager.wallet.address;
+        
+        if (existing || result.response === 2) {
+            await activateNetwork(network.chainId);
+        }
+        
+        return { success: true };
     } catch (error) {
-        console.error('Get address error:', error);
-        return null;
+        console.error('Add chain error:', error);
+        return { success: false, code: -32603, error: error.message };
     }
 });
 
@@ -1475,8 +2965,152 @@ ipcMain.handle('get-app-version', () => {
     return app.getVersion();
 });
 
+// ==========================================
+// TRANSACTION ACTIVITY
+// ==========================================
+
+const ACTIVITY_POLL_INTERVAL = 5000;
+let activityPollTimer = null;
+let activityPollInFlight = false;
+
+// Native currency symbol of the connected network
+function getNativeSymbol() {
+    return walletManager.network && walletManager.network.nativeCurrency ? walletManager.network.nativeCurrency.symbol : 'GUAP';
+}
+
+// Tell wallet UIs that the activity log changed
+function broadcastActivityUpdated() {
+    BrowserWindow.getAllWindows().forEach(window => {
+        if (!window.isDestroyed()) {
+            window.webContents.send('wallet-activity-updated');
+        }
+    });
+}
+
+// Persist a broadcast transaction so the Web3 panel can track it
+function recordActivity(tx, meta) {
+    try {
+        transactionHistory.recordTransaction(tx, meta);
+        broadcastActivityUpdated();
+    } catch (error) {
+        console.error('Error recording transaction activity:', error);
+    }
+}
+
+// Desktop notification once a pending transaction is mined
+function notifyTransactionSettled(entry) {
+    if (!Notification.isSupported()) {
+        return;
+    }
+    
+    const confirmed = entry.status === 'confirmed';
+    new Notification({
+        title: confirmed ? 'Transaction confirmed' : 'Transaction failed',
+        body: `${entry.description || 'Transaction'}${confirmed ? '' : `: ${entry.failureReason}`}\n${entry.hash.slice(0, 10)}…`
+    }).show();
+}
+
+// Poll pending and recently mined transactions on the connected network
+async function pollPendingTransactions() {
+    if (activityPollInFlight || !walletManager.provider || !walletManager.network) {
+        return;
+    }
+    
+    activityPollInFlight = true;
+    try {
+        const chainId = networkRegistry.normalizeChainId(walletManager.network.chainId);
+        if (transactionHistory.getTracked(chainId).length === 0) {
+            return;
+        }
+        
+        const settled = await transactionHistory.refresh(walletManager.provider, chainId);
+        settled.forEach(notifyTransactionSettled);
+        broadcastActivityUpdated();
+    } catch (error) {
+        console.error('Error polling transaction activity:', error.message);
+    } finally {
+        activityPollInFlight = false;
+    }
+}
+
+function startActivityPolling() {
+    if (!activityPollTimer) {
+        activityPollTimer = setInterval(pollPendingTransactions, ACTIVITY_POLL_INTERVAL);
+    }
+}
+
+// Activity for the active account on the connected network
+ipcMain.handle('wallet-get-activity', async () => {
+    try {
+        const walletData = walletManager.loadWallet();
+        if (!walletData) {
+            return { success: true, activity: [] };
+        }
+        
+        const chainId = walletManager.network ? networkRegistry.normalizeChainId(walletManager.network.chainId) : null;
+        return { success: true, activity: transactionHistory.getActivity(walletData.address, chainId) };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+// Speed up or cancel a pending transaction by replacing its nonce
+async function replacePendingTransaction(hash, cancel) {
+    const entry = transactionHistory.getEntry(hash);
+    if (!entry || entry.status !== 'pending') {
+        return { success: false, error: 'Transaction is no longer pending' };
+    }
+    if (!passwordManager.isWalletUnlocked()) {
+        return { success: false, error: 'Wallet is locked' };
+    }
+    
+    const result = await dialog.showMessageBox(BrowserWindow.getFocusedWindow(), {
+        type: 'warning',
+        buttons: ['Back', cancel ? 'Cancel Transaction' : 'Speed Up'],
+        defaultId: 0,
+        cancelId: 0,
+        title: cancel ? 'Cancel Transaction' : 'Speed Up Transaction',
+        message: cancel
+            ? 'Replace this transaction with an empty transfer to yourself?'
+            : 'Resend this transaction with a higher fee?',
+        detail: `${entry.description || 'Transaction'} (nonce ${entry.nonce})\n\nThis pays at least 10% more gas. If the original is mined first, the replacement will fail.`,
+        noLink: true
+    });
+    
+    if (result.response !== 1) {
+        return { success: false, error: 'Operation cancelled by user' };
+    }
+    
+    const tx = await walletManager.replaceTransaction(entry, cancel);
+    recordActivity(tx, {
+        kind: cancel ? 'cancel' : entry.kind,
+        description: cancel ? `Cancel: ${entry.description || 'Transaction'}` : entry.description,
+        origin: entry.origin,
+        replaces: entry.hash
+    });
+    passwordManager.resetActivityTimer();
+    return { success: true, transaction: tx.hash };
+}
+
+ipcMain.handle('wallet-speed-up-transaction', async (event, hash) => {
+    try {
+        return await replacePendingTransaction(hash, false);
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('wallet-cancel-transaction', async (event, hash) => {
+    try {
+        return await replacePendingTransaction(hash, true);
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
 // Connection management
-const connectedDomains = new Map(); // domain -> { accounts, timestamp }
+const connectedDomains = new Map(); // origin -> { accounts, timestamp }
+const pendingConnections = new Map(); // origin -> Promise of approved accounts
 
 // Load saved connections
 function loadConnectedDomains() {
@@ -1499,19 +3133,172 @@ function saveConnectedDomains() {
     }
 }
 
-// Handle permission revocation
-ipcMain.handle('wallet-revoke-permissions', async (event, { domain, permissions }) => {
-    console.log('[Main] Revoking permissions for domain:', domain);
-    connectedDomains.delete(domain);
-    saveConnectedDomains();
+// Approved accounts for an origin that the current wallet still controls, active account first
+function getConnectedAccounts(origin) {
+    const connection = connectedDomains.get(origin);
+    const walletData = walletManager.loadWallet();
+    if (!connection || !walletData) {
+        return [];
+    }
+    
+    const accounts = connection.accounts.filter(account => walletManager.findAccount(account));
+    const active = accounts.find(account => account.toLowerCase() === walletData.address.toLowerCase());
+    return active ? [active, ...accounts.filter(account => account !== active)] : accounts;
+}
+
+// Tell connected pages which accounts they now see, for origins whose view changed
+function notifyAccountsChanged(previous) {
+    connectedDomains.forEach((connection, origin) => {
+        const accounts = getConnectedAccounts(origin);
+        if (JSON.stringify(accounts) !== JSON.stringify(previous.get(origin) || [])) {
+            sendToOrigin(origin, 'wallet-account-changed', accounts);
+        }
+    });
+}
+
+// Snapshot of the accounts each origin currently sees
+function getConnectedAccountsByOrigin() {
+    return new Map(Array.from(connectedDomains.keys()).map(origin => [origin, getConnectedAccounts(origin)]));
+}
+
+// EIP-2255 permission objects for an origin
+function getOriginPermissions(origin) {
+    const connection = connectedDomains.get(origin);
+    const accounts = getConnectedAccounts(origin);
+    if (!connection || accounts.length === 0) {
+        return [];
+    }
+    
+    return [{
+        invoker: origin,
+        parentCapability: 'eth_accounts',
+        caveats: [{ type: 'restrictReturnedAccounts', value: accounts }],
+        date: connection.timestamp
+    }];
+}
+
+// Send an event to every webview currently showing the given origin
+function sendToOrigin(origin, channel, ...args) {
+    webContents.getAllWebContents().forEach(contents => {
+        if (!contents.isDestroyed() && contents.getType() === 'webview' && getRequestOrigin(contents) === origin) {
+            contents.send(channel, ...args);
+        }
+    });
+}
+
+// Ask the user to approve an origin; concurrent requests share one prompt
+function requestOriginConnection(event, origin) {
+    if (pendingConnections.has(origin)) {
+        return pendingConnections.get(origin);
+    }
+    
+    const pending = (async () => {
+        const walletData = walletManager.loadWallet();
+        const walletAccounts = walletData.accounts;
+        const formatAccount = account => `${account.label} (${account.address.slice(0, 6)}…${account.address.slice(-4)})`;
+        
+        // With several accounts the user picks which one this site sees
+        const multiple = walletAccounts.length > 1;
+        const result = await dialog.showMessageBox(getWindowForSender(event.sender), {
+            type: 'question',
+            buttons: multiple ? ['Cancel', ...walletAccounts.map(account => `Connect ${formatAccount(account)}`)] : ['Cancel', 'Connect'],
+            defaultId: 0,
+            cancelId: 0,
+            title: 'Connect to Site',
+            message: `${origin} wants to connect to your wallet`,
+            detail: multiple
+                ? `Choose the account this site will be able to see.\n\nIt will still need your approval for every signature and transaction.`
+                : `This site will be able to see your address:\n${walletData.address}\n\nIt will still need your approval for every signature and transaction.`,
+            noLink: true
+        });
+        
+        if (result.response < 1 || result.response > walletAccounts.length) {
+            throw new Error(USER_REJECTED_MESSAGE);
+        }
+        
+        const accounts = [multiple ? walletAccounts[result.response - 1].address : walletData.address];
+        connectedDomains.set(origin, { accounts, timestamp: Date.now() });
+        saveConnectedDomains();
+        passwordManager.resetActivityTimer();
+        
+        console.log('[Main] Origin connected:', origin);
+        return accounts;
+    })();
+    
+    pendingConnections.set(origin, pending);
+    pending.then(
+        () => pendingConnections.delete(origin),
+        () => pendingConnections.delete(origin)
+    );
+    
+    return pending;
+}
+
+// Disconnect an origin and tell its open pages
+function disconnectOrigin(origin) {
+    if (connectedDomains.delete(origin)) {
+        saveConnectedDomains();
+        sendToOrigin(origin, 'wallet-account-changed', null);
+    }
+}
+
+// wallet_getPermissions
+ipcMain.handle('wallet-get-permissions', async (event) => {
+    return getOriginPermissions(getRequestOrigin(event.sender));
+});
+
+// wallet_requestPermissions (only eth_accounts is supported)
+ipcMain.handle('wallet-request-permissions', async (event, requested) => {
+    if (!requested || typeof requested !== 'object' || Array.isArray(requested)) {
+        throw new Error('Invalid permissions request');
+    }
+    
+    const unsupported = Object.keys(requested).filter(name => name !== 'eth_accounts');
+    if (unsupported.length > 0 || !requested.eth_accounts) {
+        throw new Error(`Unsupported permissions: ${unsupported.join(', ') || 'none requested'}`);
+    }
+    
+    const window = getWindowForSender(event.sender);
+    if (!walletManager.hasWallet()) {
+        if (window) window.webContents.send('show-web3-panel');
+        throw new Error('No wallet found');
+    }
+    if (!passwordManager.isWalletUnlocked()) {
+        if (window) window.webContents.send('show-web3-panel-unlock');
+        throw new Error('Wallet is locked');
+    }
+    
+    // Always confirm, even for already connected origins, as MetaMask does
+    const origin = getRequestOrigin(event.sender);
+    await requestOriginConnection(event, origin);
+    return getOriginPermissions(origin);
+});
+
+// Handle permission revocation; webviews can only revoke their own origin
+ipcMain.handle('wallet-revoke-permissions', async (event, { domain, permissions } = {}) => {
+    const origin = event.sender.getType() === 'webview' ? getRequestOrigin(event.sender) : domain;
+    if (!origin || typeof origin !== 'string') {
+        return { success: false, error: 'Invalid domain' };
+    }
+    
+    console.log('[Main] Revoking permissions for domain:', origin);
+    disconnectOrigin(origin);
     return { success: true };
 });
 
+// List connected origins for the Web3 panel
+ipcMain.handle('wallet-get-connections', async () => {
+    return Array.from(connectedDomains.entries()).map(([domain, data]) => ({
+        domain,
+        accounts: data.accounts,
+        timestamp: data.timestamp
+    }));
+});
+
 // Clear all connections
 ipcMain.handle('wallet-clear-all-connections', async () => {
     console.log('[Main] Clearing all domain connections');
-    connectedDomains.clear();
-    saveConnectedDomains();
+    Array.from(connectedDomains.keys()).forEach(origin => disconnectOrigin(origin));
     return { success: true };
 });
 
@@ -0,0 +1,211 @@
+const { ethers } = require('ethers');
+const Store = require('electron-store');
+const { app } = require('electron');
+
+// GuapcoinX mainnet is always available and cannot be removed
+const DEFAULT_NETWORKS = [
+    {
+        chainId: '0x115c7', // 71111
+        name: 'GuapcoinX',
+        rpcUrls: [
+            'https://rpc-mainnet.guapcoinx.com',
+            'https://rpc-mainnet-2.guapcoinx.com'
+        ],
+        nativeCurrency: {
+            name: 'GuapcoinX',
+            symbol: 'GUAP',
+            decimals: 18
+        },
+        blockExplorerUrl: 'https://explorer.guapcoinx.com',
+        builtIn: true
+    }
+];
+
+class NetworkRegistry {
+    constructor() {
+        this.store = new Store({
+            name: 'eb-networks',
+            cwd: app.getPath('userData')
+        });
+    }
+
+    // Normalize a chain ID (number, decimal or hex string) to a 0x-prefixed hex string
+    normalizeChainId(chainId) {
+        let value;
+        try {
+            value = BigInt(chainId);
+        } catch {
+            throw new Error(`Invalid chain ID: ${chainId}`);
+        }
+
+        if (value <= 0n || value > BigInt(Number.MAX_SAFE_INTEGER)) {
+            throw new Error(`Invalid chain ID: ${chainId}`);
+        }
+
+        return ethers.toQuantity(value);
+    }
+
+    // All known networks, built-in ones first
+    getNetworks() {
+        const custom = this.store.get('networks', []);
+        const builtInIds = DEFAULT_NETWORKS.map(n => n.chainId);
+        return [
+            ...DEFAULT_NETWORKS.map(n => ({ ...n, ...(custom.find(c => c.chainId === n.chainId) || {}), builtIn: true })),
+            ...custom.filter(n => !builtInIds.includes(n.chainId))
+        ];
+    }
+
+    // Look up a single network by chain ID
+    getNetwork(chainId) {
+        const id = this.normalizeChainId(chainId);
+        return this.getNetworks().find(n => n.chainId === id) || null;
+    }
+
+    // Network the wallet and injected providers are currently using
+    getActiveNetwork() {
+        const activeChainId = this.store.get('activeChainId', DEFAULT_NETWORKS[0].chainId);
+        return this.getNetwork(activeChainId) || this.getNetwork(DEFAULT_NETWORKS[0].chainId);
+    }
+
+    // Switch the active network
+    setActiveNetwork(chainId) {
+        const network = this.getNetwork(chainId);
+        if (!network) {
+            throw new Error(`Unrecognized chain ID: ${chainId}`);
+        }
+
+        this.store.set('activeChainId', network.chainId);
+        return network;
+    }
+
+    // Validate and normalize network data coming from the UI or wallet_addEthereumChain
+    validateNetwork(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('Invalid network data');
+        }
+
+        const name = typeof data.name === 'string' ? data.name.trim() : '';
+        if (!name) {
+            throw new Error('Network name is required');
+        }
+
+        const rpcUrls = (Array.isArray(data.rpcUrls) ? data.rpcUrls : [])
+            .filter(url => typeof url === 'string')
+            .map(url => url.trim())
+            .filter(Boolean);
+        if (rpcUrls.length === 0) {
+            throw new Error('At least one RPC URL is required');
+        }
+
+        rpcUrls.forEach(url => {
+            let parsed;
+            try {
+                parsed = new URL(url);
+            } catch {
+                throw new Error(`Invalid RPC URL: ${url}`);
+            }
+            // Requests go out over HTTP(S) only; WebSocket endpoints could never connect
+            if (!['https:', 'http:'].includes(parsed.protocol)) {
+                throw new Error(`RPC URL must use http:// or https://: ${url}`);
+            }
+        });
+
+        const currency = data.nativeCurrency || {};
+        const symbol = typeof currency.symbol === 'string' ? currency.symbol.trim() : '';
+        if (!symbol || symbol.length > 11) {
+            throw new Error('Native currency symbol must be 1-11 characters');
+        }
+
+        const decimals = currency.decimals === undefined ? 18 : Number(currency.decimals);
+        if (!Number.isInteger(decimals) || decimals < 0 || decimals > 36) {
+            throw new Error('Invalid native currency decimals');
+        }
+
+        let blockExplorerUrl = null;
+        if (data.blockExplorerUrl) {
+            try {
+                const parsed = new URL(data.blockExplorerUrl);
+                if (!['https:', 'http:'].includes(parsed.protocol)) {
+                    throw new Error();
+                }
+                blockExplorerUrl = data.blockExplorerUrl.trim().replace(/\/+$/, '');
+            } catch {
+                throw new Error(`Invalid block explorer URL: ${data.blockExplorerUrl}`);
+            }
+        }
+
+        return {
+            chainId: this.normalizeChainId(data.chainId),
+            name,
+            rpcUrls,
+            nativeCurrency: {
+                name: typeof currency.name === 'string' && currency.name.trim() ? currency.name.trim() : symbol,
+                symbol,
+                decimals
+            },
+            blockExplorerUrl
+        };
+    }
+
+    // Convert EIP-3085 wallet_addEthereumChain parameters to registry format
+    fromAddEthereumChainParams(params) {
+        if (!params || typeof params !== 'object') {
+            throw new Error('Invalid wallet_addEthereumChain parameters');
+        }
+
+        return this.validateNetwork({
+            chainId: params.chainId,
+            name: params.chainName,
+            rpcUrls: params.rpcUrls,
+            nativeCurrency: params.nativeCurrency,
+            blockExplorerUrl: Array.isArray(params.blockExplorerUrls) ? params.blockExplorerUrls[0] : null
+        });
+    }
+
+    // Add a new network
+    addNetwork(data) {
+        const network = this.validateNetwork(data);
+        if (this.getNetwork(network.chainId)) {
+            throw new Error(`A network with chain ID ${network.chainId} already exists`);
+        }
+
+        const custom = this.store.get('networks', []);
+        custom.push(network);
+        this.store.set('networks', custom);
+        return network;
+    }
+
+    // Update an existing network; built-in networks keep their chain ID
+    updateNetwork(chainId, data) {
+        const existing = this.getNetwork(chainId);
+        if (!existing) {
+            throw new Error(`Unrecognized chain ID: ${chainId}`);
+        }
+
+        const network = this.validateNetwork({ ...existing, ...data, chainId: existing.chainId });
+        const custom = this.store.get('networks', []).filter(n => n.chainId !== existing.chainId);
+        custom.push(network);
+        this.store.set('networks', custom);
+        return this.getNetwork(network.chainId);
+    }
+
+    // Remove a user-added network
+    removeNetwork(chainId) {
+        const network = this.getNetwork(chainId);
+        if (!network) {
+            throw new Error(`Unrecognized chain ID: ${chainId}`);
+        }
+        if (network.builtIn) {
+            throw new Error('Built-in networks cannot be removed');
+        }
+        if (this.getActiveNetwork().chainId === network.chainId) {
+            throw new Error('Switch to another network before removing this one');
+        }
+
+        const custom = this.store.get('networks', []).filter(n => n.chainId !== network.chainId);
+        this.store.set('networks', custom);
+        return this.getNetworks();
+    }
+}
+
+module.exports = NetworkRegistry;
@@ -1,10 +1,13 @@
 const bcrypt = require('bcryptjs');
 const Store = require('electron-store');
-const crypto = require('crypto');
+const EventEmitter = require('events');
 const { app } = require('electron');
+const PasswordEncryption = require('./password-manager/main/encryption');
 
-class PasswordManager {
+class PasswordManager extends EventEmitter {
     constructor() {
+        super();
+        
         // Use a more specific store configuration to ensure persistence
         this.store = new Store({
             name: 'eb-wallet-auth',
@@ -20,6 +23,10 @@ class PasswordManager {
         this.maxFailedAttempts = 5;
         this.lockoutTime = null;
         this.lockoutDuration = 30 * 60 * 1000; // 30 minutes
+        this.sessionTimer = null;
+        
+        // Wallet encryption key, derived from the password and held in memory only while unlocked
+        this.encryption = new PasswordEncryption();
     }
 
     // Check if password is set
@@ -28,24 +35,15 @@ class PasswordManager {
         return !!passwordHash;
     }
 
-    // Set up new password
+    // Set up the first password; an existing one can only be replaced through changePassword
     async setPassword(password) {
         try {
-            // Validate password strength
-            if (!this.validatePasswordStrength(password)) {
-                throw new Error('Password does not meet requirements');
+            if (this.hasPassword()) {
+                throw new Error('A password is already set');
             }
 
-            // Hash password
-            const salt = await bcrypt.genSalt(10);
-            const hash = await bcrypt.hash(password, salt);
-            
-            // Store hash
-            this.store.set('passwordHash', hash);
-            
-            // Generate encryption key from password
-            const encryptionKey = this.deriveKeyFromPassword(password);
-            this.store.set('encryptionKey', encryptionKey);
+            const credentials = await this.createCredentials(password);
+            this.storeCredentials(password, credentials);
             
             return true;
         } catch (error) {
@@ -54,6 +52,30 @@ class PasswordManager {
         }
     }
 
+    // Hash and fresh key salt for a password, not yet stored
+    async createCredentials(password) {
+        // Validate password strength
+        if (!this.validatePasswordStrength(password)) {
+            throw new Error('Password does not meet requirements');
+        }
+
+        // Hash password
+        const salt = await bcrypt.genSalt(10);
+        const hash = await bcrypt.hash(password, salt);
+
+        return { hash, keySalt: this.encryption.generateSalt() };
+    }
+
+    // Persist credentials and start an unlocked session under them
+    storeCredentials(password, { hash, keySalt }) {
+        this.store.set('passwordHash', hash);
+        this.store.set('keySalt', keySalt.toString('hex'));
+        this.store.delete('encryptionKey'); // Legacy key derived with a fixed salt
+        
+        // The user just proved knowledge of the password, so start an unlocked session
+        this.unlockSession(password);
+    }
+
     // Verify password
     async verifyPassword(password) {
         try {
@@ -75,9 +97,13 @@ class PasswordManager {
                 this.failedAttempts = 0;
                 this.lockoutTime = null;
                 
+                // Legacy installs stored the derived key next to the hash; drop it
+                if (this.store.has('encryptionKey')) {
+                    this.store.delete('encryptionKey');
+                }
+                
                 // Set session as unlocked
-                this.isUnlocked = true;
-                this.unlockTime = Date.now();
+                this.unlockSession(password);
                 
                 return true;
             } else {
@@ -97,8 +123,10 @@ class PasswordManager {
         }
     }
 
-    // Change password
-    async changePassword(oldPassword, newPassword) {
+    // Change password; reencrypt(previousEncryption, newEncryption) moves data to the new key
+    async changePassword(oldPassword, newPassword, reencrypt = null) {
+        let previousEncryption = null;
+        let nextEncryption = null;
         try {
             // Verify old password first
             const hash = this.store.get('passwordHash');
@@ -108,13 +136,27 @@ class PasswordManager {
                 throw new Error('Current password is incorrect');
             }
 
-            // Set new password
-            await this.setPassword(newPassword);
+            previousEncryption = this.createEncryption(oldPassword);
+            const credentials = await this.createCredentials(newPassword);
+            nextEncryption = this.createEncryption(newPassword, credentials.keySalt);
+
+            // Re-seal wallet data first; the stored password only changes once that succeeded
+            if (reencrypt) {
+                await reencrypt(previousEncryption, nextEncryption);
+            }
+            
+            this.storeCredentials(newPassword, credentials);
             
             return true;
         } catch (error) {
             console.error('Error changing password:', error);
             throw error;
+        } finally {
+            [previousEncryption, nextEncryption].forEach(encryption => {
+                if (encryption) {
+                    encryption.lock();
+                }
+            });
         }
     }
 
@@ -132,16 +174,48 @@ class PasswordManager {
         return this.isUnlocked;
     }
 
+    // Start an unlocked session with the key derived from the password
+    unlockSession(password) {
+        this.encryption.lock();
+        this.encryption.salt = this.getKeySalt();
+        this.encryption.masterKey = this.deriveKeyFromPassword(password);
+        
+        this.isUnlocked = true;
+        this.unlockTime = Date.now();
+        this.scheduleAutoLock();
+    }
+
+    // Lock proactively when the session times out so keys leave memory
+    scheduleAutoLock() {
+        if (this.sessionTimer) {
+            clearTimeout(this.sessionTimer);
+        }
+        this.sessionTimer = setTimeout(() => this.lockWallet(), this.sessionTimeout);
+    }
+
     // Lock wallet
     lockWallet() {
+        const wasUnlocked = this.isUnlocked;
+        
         this.isUnlocked = false;
         this.unlockTime = null;
+        this.encryption.lock();
+        
+        if (this.sessionTimer) {
+            clearTimeout(this.sessionTimer);
+            this.sessionTimer = null;
+        }
+        
+        if (wasUnlocked) {
+            this.emit('locked');
+        }
     }
 
     // Reset activity timer
     resetActivityTimer() {
         if (this.isUnlocked) {
             this.unlockTime = Date.now();
+            this.scheduleAutoLock();
         }
     }
 
@@ -181,26 +255,42 @@ class PasswordManager {
         return true;
     }
 
+    // Per-install random salt for key derivation, created on first use
+    getKeySalt() {
+        let salt = this.store.get('keySalt');
+        if (!salt) {
+            salt = this.encryption.generateSalt().toString('hex');
+            this.store.set('keySalt', salt);
+        }
+        return Buffer.from(salt, 'hex');
+    }
+
     // Derive encryption key from password
     deriveKeyFromPassword(password) {
-        // Use PBKDF2 to derive a key from the password
-        const salt = 'eb-wallet-salt'; // In production, use a random salt
-        const key = crypto.pbkdf2Sync(password, salt, 100000, 32, 'sha256');
-        return key.toString('hex');
+        // Use PBKDF2 with the per-install salt to derive a key from the password
+        return this.encryption.deriveKey(password, this.getKeySalt());
     }
 
-    // Get encryption key (only if unlocked)
-    getEncryptionKey() {
-        if (!this.isWalletUnlocked()) {
+    // Standalone encryption instance keyed from a password (used when re-keying)
+    createEncryption(password, salt = this.getKeySalt()) {
+        const encryption = new PasswordEncryption();
+        encryption.salt = salt;
+        encryption.masterKey = encryption.deriveKey(password, salt);
+        return encryption;
+    }
+
+    // Get the in-memory wallet encryption (only if unlocked)
+    getEncryption() {
+        if (!this.isWalletUnlocked() || !this.encryption.isUnlocked()) {
             throw new Error('Wallet is locked');
         }
-        return this.store.get('encryptionKey');
+        return this.encryption;
     }
 
     // Clear all auth data (use with caution)
     clearAuthData() {
-        this.store.clear();
         this.lockWallet();
+        this.store.clear();
         this.failedAttempts = 0;
         this.lockoutTime = null;
     }
@@ -24,7 +24,9 @@ const ebAPI = {
             'show-web3-panel', 'show-web3-panel-unlock',
             'menu-new-tab', 'menu-close-tab', 'menu-open-url',
             'menu-open-documentation', 'menu-about',
-            'window-maximized'
+            'window-maximized', 'wallet-network-changed',
+            'wallet-activity-updated', 'open-url-in-new-tab',
+            'tab-adopt', 'tab-context-command', 'recently-closed'
         ];
         
         if (validChannels.includes(channel)) {
@@ -41,7 +43,9 @@ const ebAPI = {
             'show-web3-panel', 'show-web3-panel-unlock',
             'menu-new-tab', 'menu-close-tab', 'menu-open-url',
             'menu-open-documentation', 'menu-about',
-            'window-maximized'
+            'window-maximized', 'wallet-network-changed',
+            'wallet-activity-updated', 'open-url-in-new-tab',
+            'tab-adopt', 'tab-context-command', 'recently-closed'
         ];
         
         if (validChannels.includes(channel)) {
@@ -110,6 +114,46 @@ const ebAPI = {
             }
         },
 
+        importPrivateKey: async (privateKey) => {
+            if (!validateString(privateKey)) {
+                return { success: false, error: 'Invalid private key' };
+            }
+            
+            try {
+                return await ipcRenderer.invoke('wallet-import-private-key', privateKey.trim());
+            } catch (error) {
+                console.error('Private key import error:', error);
+                return { success: false, error: error.message };
+            }
+        },
+
+        // Web3 Secret Storage keystore backup
+        exportProfile: async (passphrase) => {
+            if (!validateString(passphrase)) {
+                return { success: false, error: 'Invalid passphrase' };
+            }
+            
+            try {
+                return await ipcRenderer.invoke('wallet-export-profile', passphrase);
+            } catch (error) {
+                console.error('Profile export error:', error);
+                return { success: false, error: error.message };
+            }
+        },
+
+        importProfile: async (keystore, passphrase) => {
+            if (!validateObject(keystore) || !validateString(passphrase)) {
+                return { success: false, error: 'Invalid keystore data' };
+            }
+            
+            try {
+                return await ipcRenderer.invoke('wallet-import-profile', { keystore, passphrase });
+            } catch (error) {
+                console.error('Profile import error:', error);
+                return { success: false, error: error.message };
+            }
+        },
+
         load: async () => {
             try {
                 return await ipcRenderer.invoke('wallet-load');
@@ -172,7 +216,9 @@ const ebAPI = {
         // Account management
         requestAccounts: async () => {
             try {
-                return await ipcRenderer.invoke('wallet-request-accounts');
+                // A rejected connection comes back as { success: false }; callers here expect a list
+                const accounts = await ipcRenderer.invoke('wallet-request-accounts');
+                return Array.isArray(accounts) ? accounts : [];
             } catch (error) {
                 console.error('Request accounts error:', error);
                 return [];
@@ -197,7 +243,147 @@ const ebAPI = {
             }
         },
 
-        // Signature operations (placeholder - implement as needed)
+        // HD accounts
+        listAccounts: async () => {
+            try {
+                return await ipcRenderer.invoke('wallet-list-accounts');
+            } catch (error) {
+                console.error('List accounts error:', error);
+                return { success: false, error: error.message };
+            }
+        },
+
+        addAccount: async (label) => {
+            if (label !== undefined && label !== null && !validateString(label)) {
+                return { success: false, error: 'Invalid account label' };
+            }
+            
+            try {
+                return await ipcRenderer.invoke('wallet-add-account', label || null);
+            } catch (error) {
+                console.error('Add account error:', error);
+                return { success: false, error: error.message };
+            }
+        },
+
+        renameAccount: async (address, label) => {
+            if (!validateString(address) || !validateString(label)) {
+                return { success: false, error: 'Invalid account data' };
+            }
+            
+            try {
+                return await ipcRenderer.invoke('wallet-rename-account', { address, label });
+            } catch (error) {
+                console.error('Rename account error:', error);
+                return { success: false, error: error.message };
+            }
+        },
+
+        setActiveAccount: async (address) => {
+            if (!validateString(address)) {
+                return { success: false, error: 'Invalid address' };
+            }
+            
+            try {
+                return await ipcRenderer.invoke('wallet-set-active-account', address);
+            } catch (error) {
+                console.error('Set active account error:', error);
+                return { success: false, error: error.message };
+            }
+        },
+
+        // Transaction activity
+        getActivity: async () => {
+            try {
+                return await ipcRenderer.invoke('wallet-get-activity');
+            } catch (error) {
+                console.error('Get activity error:', error);
+                return { success: false, error: error.message };
+            }
+        },
+
+        speedUpTransaction: async (hash) => {
+            if (!validateString(hash)) {
+                return { success: false, error: 'Invalid transaction hash' };
+            }
+            
+            try {
+                return await ipcRenderer.invoke('wallet-speed-up-transaction', hash);
+            } catch (error) {
+                console.error('Speed up transaction error:', error);
+                return { success: false, error: error.message };
+            }
+        },
+
+        cancelTransaction: async (hash) => {
+            if (!validateString(hash)) {
+                return { success: false, error: 'Invalid transaction hash' };
+            }
+            
+            try {
+                return await ipcRenderer.invoke('wallet-cancel-transaction', hash);
+            } catch (error) {
+                console.error('Cancel transaction error:', error);
+                return { success: false, error: error.message };
+            }
+        },
+
+        // Token allowances
+        getAllowances: async () => {
+            try {
+                return await ipcRenderer.invoke('wallet-get-allowances');
+            } catch (error) {
+                console.error('Get allowances error:', error);
+                return { success: false, error: error.message };
+            }
+        },
+
+        revokeAllowance: async (tokenAddress, spender) => {
+            if (!validateString(tokenAddress) || !validateString(spender)) {
+                return { success: false, error: 'Invalid allowance data' };
+            }
+            
+            try {
+                return await ipcRenderer.invoke('wallet-revoke-allowance', { tokenAddress, spender });
+            } catch (error) {
+                console.error('Revoke allowance error:', error);
+                return { success: false, error: error.message };
+            }
+        },
+
+        // Connected sites
+        getConnections: async () => {
+            try {
+                return await ipcRenderer.invoke('wallet-get-connections');
+            } catch (error) {
+                console.error('Get connections error:', error);
+                return [];
+            }
+        },
+
+        revokeConnection: async (domain) => {
+            if (!validateString(domain)) {
+                return { success: false, error: 'Invalid domain' };
+            }
+            
+            try {
+                return await ipcRenderer.invoke('wallet-revoke-permissions', { domain });
+            } catch (error) {
+                console.error('Revoke connection error:', error);
+                return { success: false, error: error.message };
+            }
+        },
+
+        clearConnections: async () => {
+            try {
+                return await ipcRenderer.invoke('wallet-clear-all-connections');
+            } catch (error) {
+                console.error('Clear connections error:', error);
+                return { success: false, error: error.message };
+            }
+        },
+
+        // Signature operations
         signMessage: async (address, message) => {
             if (!validateString(address) || !validateString(message)) {
                 throw new Error('Invalid parameters for message signing');
@@ -225,6 +411,100 @@ const ebAPI = {
         }
     },
 
+    // ==========================================
+    // NETWORK REGISTRY API
+    // ==========================================
+    networks: {
+        list: async () => {
+            try {
+                return await ipcRenderer.invoke('network-list');
+            } catch (error) {
+                console.error('Network list error:', error);
+                return { success: false, error: error.message };
+            }
+        },
+
+        getActive: async () => {
+            try {
+                return await ipcRenderer.invoke('network-get-active');
+            } catch (error) {
+                console.error('Get active network error:', error);
+                return { success: false, error: error.message };
+            }
+        },
+
+        connectActive: async () => {
+            try {
+                return await ipcRenderer.invoke('network-connect-active');
+            } catch (error) {
+                console.error('Connect active network error:', error);
+                return { success: false, error: error.message };
+            }
+        },
+
+        setActive: async (chainId) => {
+            if (!validateString(chainId)) {
+                return { success: false, error: 'Invalid chain ID' };
+            }
+            
+            try {
+                return await ipcRenderer.invoke('network-set-active', chainId);
+            } catch (error) {
+                console.error('Set active network error:', error);
+                return { success: false, error: error.message };
+            }
+        },
+
+        add: async (network) => {
+            if (!validateObject(network)) {
+                return { success: false, error: 'Invalid network data' };
+            }
+            
+            try {
+                return await ipcRenderer.invoke('network-add', network);
+            } catch (error) {
+                console.error('Add network error:', error);
+                return { success: false, error: error.message };
+            }
+        },
+
+        update: async (chainId, network) => {
+            if (!validateString(chainId) || !validateObject(network)) {
+                return { success: false, error: 'Invalid network data' };
+            }
+            
+            try {
+                return await ipcRenderer.invoke('network-update', chainId, network);
+            } catch (error) {
+                console.error('Update network error:', error);
+                return { success: false, error: error.message };
+            }
+        },
+
+        remove: async (chainId) => {
+            if (!validateString(chainId)) {
+                return { success: false, error: 'Invalid chain ID' };
+            }
+            
+            try {
+                return await ipcRenderer.invoke('network-remove', chainId);
+            } catch (error) {
+                console.error('Remove network error:', error);
+                return { success: false, error: error.message };
+            }
+        },
+
+        // RPC endpoint health for the active network
+        getRpcStatus: async () => {
+            try {
+                return await ipcRenderer.invoke('network-rpc-status');
+            } catch (error) {
+                console.error('RPC status error:', error);
+                return { success: false, error: error.message };
+            }
+        }
+    },
+
     // ==========================================
     // PASSWORD API (SECURE)
     // ==========================================
@@ -395,6 +675,259 @@ const ebAPI = {
                 console.error('EB domain check error:', error);
                 return false;
             }
+        },
+
+        // Primary domain names for a list of addresses
+        reverseResolve: async (addresses) => {
+            if (!Array.isArray(addresses) || !addresses.every(validateString)) {
+                return { success: false, error: 'Invalid addresses' };
+            }
+            
+            try {
+                return await ipcRenderer.invoke('domains-reverse-resolve', addresses);
+            } catch (error) {
+                console.error('Reverse resolve error:', error);
+                return { success: false, error: error.message };
+            }
+        },
+
+        // Current owner of a domain entered as a payment recipient
+        resolveRecipient: async (name) => {
+            if (!validateString(name)) {
+                return { success: false, error: 'Invalid domain' };
+            }
+            
+            try {
+                return await ipcRenderer.invoke('domains-resolve-recipient', name);
+            } catch (error) {
+                console.error('Resolve recipient error:', error);
+                return { success: false, error: error.message };
+            }
+        },
+
+        // Domains owned by the active wallet account
+        getOwned: async () => {
+            try {
+                return await ipcRenderer.invoke('domains-get-owned');
+            } catch (error) {
+                console.error('Get owned domains error:', error);
+                return { success: false, error: error.message };
+            }
+        },
+
+        setRecord: async (tokenId, key, value) => {
+            if (!validateString(tokenId) || !validateString(key) || typeof value !== 'string') {
+                return { success: false, error: 'Invalid record data' };
+            }
+            
+            try {
+                return await ipcRenderer.invoke('domains-set-record', { tokenId, key, value });
+            } catch (error) {
+                console.error('Set domain record error:', error);
+                return { success: false, error: error.message };
+            }
+        },
+
+        transfer: async (tokenId, to) => {
+            if (!validateString(tokenId) || !validateString(to)) {
+                return { success: false, error: 'Invalid transfer data' };
+            }
+            
+            try {
+                return await ipcRenderer.invoke('domains-transfer', { tokenId, to });
+            } catch (error) {
+                console.error('Transfer domain error:', error);
+                return { success: false, error: error.message };
+            }
+        },
+
+        // Availability and GUAP price for a name under a TLD
+        getRegistrationQuote: async (name, tld) => {
+            if (!validateString(name) || !validateString(tld)) {
+                return { success: false, error: 'Invalid domain name' };
+            }
+            
+            try {
+                return await ipcRenderer.invoke('domains-get-registration-quote', { name, tld });
+            } catch (error) {
+                console.error('Domain quote error:', error);
+                return { success: false, error: error.message };
+            }
+        },
+
+        register: async (name, tld) => {
+            if (!validateString(name) || !validateString(tld)) {
+                return { success: false, error: 'Invalid domain name' };
+            }
+            
+            try {
+                return await ipcRenderer.invoke('domains-register', { name, tld });
+            } catch (error) {
+                console.error('Domain registration error:', error);
+                return { success: false, error: error.message };
+            }
+        }
+    },
+
+    // ==========================================
+    // IPFS GATEWAY API
+    // ==========================================
+    ipfs: {
+        getSettings: async () => {
+            try {
+                return await ipcRenderer.invoke('ipfs-get-settings');
+            } catch (error) {
+                console.error('Get IPFS settings error:', error);
+                return { success: false, error: error.message };
+            }
+        },
+
+        // Ordered gateway URLs and an optional local node gateway
+        updateSettings: async (gateways, localGateway) => {
+            if (!Array.isArray(gateways) || !gateways.every(validateString) ||
+                (localGateway && !validateString(localGateway))) {
+                return { success: false, error: 'Invalid gateway settings' };
+            }
+            
+            try {
+                return await ipcRenderer.invoke('ipfs-update-settings', { gateways, localGateway: localGateway || null });
+            } catch (error) {
+                console.error('Update IPFS settings error:', error);
+                return { success: false, error: error.message };
+            }
+        }
+    },
+
+    // ==========================================
+    // TAB API
+    // ==========================================
+    tabs: {
+        // Native menu for a tab; the choice comes back as a 'tab-context-command' event
+        showContextMenu: async (tabId, pinned, tabCount) => {
+            if (!validateString(tabId) || typeof pinned !== 'boolean' || !Number.isInteger(tabCount)) {
+                return { success: false, error: 'Invalid tab' };
+            }
+
+            try {
+                return await ipcRenderer.invoke('tab-context-menu', { tabId, pinned, tabCount });
+            } catch (error) {
+                console.error('Tab context menu error:', error);
+                return { success: false, error: error.message };
+            }
+        },
+
+        // Open a tab's state in another browser window, or a new one when windowId is null
+        moveToWindow: async (state, windowId) => {
+            if (!state || !validateString(state.url) || (windowId !== null && !Number.isInteger(windowId))) {
+                return { success: false, error: 'Invalid tab' };
+            }
+
+            try {
+                return await ipcRenderer.invoke('tab-move-to-window', { state, windowId });
+            } catch (error) {
+                console.error('Move tab error:', error);
+                return { success: false, error: error.message };
+            }
+        },
+
+        // Whether system memory is low enough to hibernate background tabs early
+        getMemoryStatus: async () => {
+            try {
+                return await ipcRenderer.invoke('tabs-memory-status');
+            } catch (error) {
+                console.error('Get memory status error:', error);
+                return { success: false, error: error.message };
+            }
+        },
+
+        // Push a closed tab onto the recently closed stack
+        recordClosed: async (state) => {
+            if (!state || !validateString(state.url)) {
+                return { success: false, error: 'Invalid tab' };
+            }
+
+            try {
+                return await ipcRenderer.invoke('tab-record-closed', state);
+            } catch (error) {
+                console.error('Record closed tab error:', error);
+                return { success: false, error: error.message };
+            }
+        },
+
+        getRecentlyClosed: async () => {
+            try {
+                return await ipcRenderer.invoke('recently-closed-get');
+            } catch (error) {
+                console.error('Get recently closed error:', error);
+                return { success: false, error: error.message };
+            }
+        },
+
+        reopenClosed: async (id) => {
+            if (!Number.isInteger(id)) {
+                return { success: false, error: 'Invalid entry' };
+            }
+
+            try {
+                return await ipcRenderer.invoke('recently-closed-reopen', id);
+            } catch (error) {
+                console.error('Reopen closed tab error:', error);
+                return { success: false, error: error.message };
+            }
+        }
+    },
+
+    // ==========================================
+    // SESSION RESTORE API
+    // ==========================================
+    session: {
+        // Snapshot of this window's tabs: { tabs: [{ url, title, scrollX, scrollY, history, historyIndex }], activeIndex }
+        save: async (snapshot) => {
+            if (!snapshot || !Array.isArray(snapshot.tabs)) {
+                return { success: false, error: 'Invalid session snapshot' };
+            }
+
+            try {
+                return await ipcRenderer.invoke('session-save', snapshot);
+            } catch (error) {
+                console.error('Save session error:', error);
+                return { success: false, error: error.message };
+            }
+        },
+
+        takeRestore: async () => {
+            try {
+                return await ipcRenderer.invoke('session-take-restore');
+            } catch (error) {
+                console.error('Restore session error:', error);
+                return { success: false, error: error.message };
+            }
+        },
+
+        getSettings: async () => {
+            try {
+                return await ipcRenderer.invoke('session-get-settings');
+            } catch (error) {
+                console.error('Get session settings error:', error);
+                return { success: false, error: error.message };
+            }
+        },
+
+        // { startupMode: 'continue' | 'landing', hibernateAfterMinutes }, either one optional
+        updateSettings: async (settings) => {
+            if (!validateObject(settings)) {
+                return { success: false, error: 'Invalid session settings' };
+            }
+
+            try {
+                return await ipcRenderer.invoke('session-update-settings', {
+                    startupMode: settings.startupMode,
+                    hibernateAfterMinutes: settings.hibernateAfterMinutes
+                });
+            } catch (error) {
+                console.error('Update session settings error:', error);
+                return { success: false, error: error.message };
+            }
         }
     },
 
@@ -470,6 +1003,32 @@ const ebAPI = {
                 console.error('Get all token balances error:', error);
                 throw error;
             }
+        },
+
+        send: async (tokenAddress, to, amount) => {
+            if (!validateString(tokenAddress) || !validateString(to) || !validateString(amount)) {
+                return { success: false, error: 'Invalid token transfer data' };
+            }
+            
+            try {
+                return await ipcRenderer.invoke('wallet-send-token', { tokenAddress, to, amount });
+            } catch (error) {
+                console.error('Send token error:', error);
+                return { success: false, error: error.message };
+            }
+        },
+
+        approve: async (tokenAddress, spender, amount) => {
+            if (!validateString(tokenAddress) || !validateString(spender) || !validateString(amount)) {
+                return { success: false, error: 'Invalid token approval data' };
+            }
+            
+            try {
+                return await ipcRenderer.invoke('wallet-approve-token', { tokenAddress, spender, amount });
+            } catch (error) {
+                console.error('Approve token error:', error);
+                return { success: false, error: error.message };
+            }
         }
     },
 
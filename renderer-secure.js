@@ -234,17 +234,156 @@ class ModalSystem {
 // Global modal system instance
 let modalSystem = null;
 
+// Open tabs are snapshotted for session restore this often, and shortly after every tab change
+const SESSION_SNAPSHOT_INTERVAL = 15000;
+const SESSION_SAVE_DELAY = 1000;
+
+// Back/forward entries kept per tab for session restore
+const MAX_TAB_HISTORY = 50;
+
+// How often background tabs are checked for hibernation
+const HIBERNATION_CHECK_INTERVAL = 30000;
+
+// True when a page has form fields the user changed; such tabs are never hibernated
+const UNSAVED_INPUT_CHECK = `(() => {
+    const changedField = Array.from(document.querySelectorAll('input, textarea, select')).some(field => {
+        if (field.tagName === 'SELECT') {
+            const defaultIndex = Array.from(field.options).findIndex(option => option.defaultSelected);
+            return !field.multiple && field.options.length > 0 && field.selectedIndex !== Math.max(defaultIndex, 0);
+        }
+        if (field.type === 'checkbox' || field.type === 'radio') return field.checked !== field.defaultChecked;
+        if (field.type === 'file') return field.files.length > 0;
+        if (['hidden', 'submit', 'button', 'reset', 'image'].includes(field.type)) return false;
+        return field.value !== field.defaultValue;
+    });
+    const editedContent = Array.from(document.querySelectorAll('[contenteditable=""], [contenteditable="true"]'))
+        .some(element => element.textContent.trim().length > 0);
+    return changedField || editedContent;
+})()`;
+
+// ==========================================
+// TAB STORE
+// ==========================================
+// Tab state keyed by stable tab ID, with strip order and the active tab kept separately
+// so closing or reordering tabs never changes which tab an ID refers to
+class TabStore {
+    constructor() {
+        this.tabs = new Map();
+        this.order = [];
+        this.activeId = null;
+        this.nextId = 1;
+    }
+    
+    // IDs are never reused within a window
+    createId() {
+        return `tab-${this.nextId++}`;
+    }
+    
+    get size() {
+        return this.order.length;
+    }
+    
+    get(id) {
+        return this.tabs.get(id) || null;
+    }
+    
+    // Tabs in strip order
+    getAll() {
+        return this.order.map(id => this.tabs.get(id));
+    }
+    
+    indexOf(id) {
+        return this.order.indexOf(id);
+    }
+    
+    getActive() {
+        return this.get(this.activeId);
+    }
+    
+    setActive(id) {
+        if (this.tabs.has(id)) {
+            this.activeId = id;
+        }
+    }
+    
+    find(predicate) {
+        return this.getAll().find(predicate) || null;
+    }
+    
+    // Insert at a strip position, appending by default
+    add(tab, index = this.order.length) {
+        this.tabs.set(tab.id, tab);
+        this.order.splice(this.clampIndex(tab, index), 0, tab.id);
+        return tab;
+    }
+    
+    // Drop a tab; returns it, or null if it was not in the store
+    remove(id) {
+        const tab = this.get(id);
+        if (!tab) return null;
+        
+        this.tabs.delete(id);
+        this.order.splice(this.indexOf(id), 1);
+        if (this.activeId === id) {
+            this.activeId = null;
+        }
+        return tab;
+    }
+    
+    // Move a tab to a strip position, counted without the tab itself
+    move(id, index) {
+        const tab = this.get(id);
+        if (!tab) return;
+        
+        this.order.splice(this.indexOf(id), 1);
+        this.order.splice(this.clampIndex(tab, index), 0, id);
+    }
+    
+    // Pinned tabs sit together at the start of the strip
+    setPinned(id, pinned) {
+        const tab = this.get(id);
+        if (!tab || tab.pinned === pinned) return;
+        
+        this.order.splice(this.indexOf(id), 1);
+        tab.pinned = pinned;
+        const pinnedCount = this.order.filter(other => this.tabs.get(other).pinned).length;
+        this.order.splice(pinnedCount, 0, id);
+    }
+    
+    // Keep pinned tabs ahead of unpinned ones; the tab must not be in the order yet
+    clampIndex(tab, index) {
+        const pinnedCount = this.order.filter(id => this.tabs.get(id).pinned).length;
+        return tab.pinned
+            ? Math.min(Math.max(index, 0), pinnedCount)
+            : Math.min(Math.max(index, pinnedCount), this.order.length);
+    }
+    
+    // Tab to show once this one closes: the next one, else the previous one
+    neighbourOf(id) {
+        const index = this.indexOf(id);
+        return this.order[index + 1] || this.order[index - 1] || null;
+    }
+}
+
 // ==========================================
 // SECURE BROWSER CLASS
 // ==========================================
 class SecureBrowser {
     constructor() {
-        this.tabs = [];
-        this.activeTabIndex = 0;
+        this.tabStore = new TabStore();
+        this.draggedTabId = null;
+        this.recentlyClosed = [];
+        this.hibernateAfterMinutes = 0;
         this.bookmarks = {};
         this.history = [];
         this.sidebarCollapsed = true;
         this.currentPanel = null;
+        this.networks = [];
+        this.activeNetwork = null;
+        this.accounts = [];
+        this.activeAccountAddress = null;
+        this.pendingRegistration = null;
+        this.sessionSaveTimer = null;
         
         this.init();
     }
@@ -261,6 +400,8 @@ class SecureBrowser {
         // Load initial data
         await this.loadBookmarks();
         await this.loadHistory();
+        await this.loadRecentlyClosed();
+        await this.loadTabSettings();
         await this.loadSidebarConfig();
         
         // Setup password panel close button
@@ -308,12 +449,11 @@ class SecureBrowser {
             } else if (event.data.type === 'closeWizardTab') {
                 console.log('[SecureBrowser] Received closeWizardTab message');
                 // Find and close the wizard tab
-                const wizardTab = Array.from(document.querySelectorAll('.tab')).find(tab => 
-                    tab.textContent.includes('Welcome') || tab.querySelector('webview[src*="wizard"]')
+                const wizardTab = this.tabStore.find(tab =>
+                    (tab.title || '').includes('Welcome') || tab.url.includes('welcome-wizard')
                 );
                 if (wizardTab) {
-                    const tabId = wizardTab.dataset.tabId;
-                    this.closeTab(tabId);
+                    this.closeTab(wizardTab.id);
                 }
             }
         });
@@ -323,7 +463,9 @@ class SecureBrowser {
         const isDev = true; // Set to false for production
         const wizardCompleted = localStorage.getItem('wizardCompleted');
         
-        if (isDev || !wizardCompleted) {
+        if (await this.restoreSession()) {
+            console.log('[SecureBrowser] Restored previous session');
+        } else if (isDev || !wizardCompleted) {
             // Dev mode or first time user - show the welcome wizard
             this.createTab('welcome-wizard.html');
             
@@ -336,6 +478,12 @@ class SecureBrowser {
             this.createTab('landing.html');
         }
         
+        // Keep a snapshot of this window's tabs on disk for session restore
+        setInterval(() => this.saveSession(), SESSION_SNAPSHOT_INTERVAL);
+        
+        // Discard background tabs that sit idle or when memory runs low
+        setInterval(() => this.hibernateIdleTabs(), HIBERNATION_CHECK_INTERVAL);
+        
         console.log('[SecureBrowser] Secure browser initialized');
     }
     
@@ -486,13 +634,35 @@ class SecureBrowser {
         });
         
         ebAPI.on('menu-close-tab', () => {
-            this.closeTab(this.activeTabIndex);
+            this.closeTab(this.tabStore.activeId);
         });
         
         ebAPI.on('menu-open-url', (event, url) => {
             this.navigateToUrl(url);
         });
         
+        // Links and window.open calls that main routes into a new tab
+        ebAPI.on('open-url-in-new-tab', (event, url) => {
+            this.createTab(url);
+        });
+        
+        // A tab moved here from another window
+        ebAPI.on('tab-adopt', (event, state) => {
+            this.createTab(state.url, state);
+        });
+        
+        ebAPI.on('recently-closed', (event, entries) => {
+            this.recentlyClosed = entries;
+            this.updateHistoryPanel();
+        });
+        
+        // Choices from the native tab context menu
+        ebAPI.on('tab-context-command', (event, tabId, command, windowId) => {
+            this.runTabCommand(tabId, command, windowId);
+        });
+        
+        this.setupTabDragging();
+        
         ebAPI.on('show-web3-panel', () => {
             this.showWeb3Panel();
         });
@@ -509,35 +679,97 @@ class SecureBrowser {
     // ==========================================
     // TAB MANAGEMENT
     // ==========================================
-    createTab(url = 'landing.html') {
+    // restoreState carries a saved tab's title, pinned flag, scroll position and back/forward entries;
+    // index is the strip position, defaulting to the end
+    createTab(url = 'landing.html', restoreState = null, index = undefined) {
         const tabsContainer = document.getElementById('tabs-container');
         if (!tabsContainer) return;
         
-        const tabId = `tab-${Date.now()}`;
-        const webviewId = `webview-${Date.now()}`;
+        const tabId = this.tabStore.createId();
         
         // Create tab button
         const tabButton = document.createElement('button');
         tabButton.className = 'tab';
         tabButton.id = tabId;
-        tabButton.innerHTML = `
-            <span class="tab-title">New Tab</span>
-            <button class="tab-close" onclick="browser.closeTab(${this.tabs.length})">×</button>
-        `;
+        tabButton.draggable = true;
+        tabButton.innerHTML = '<img class="tab-favicon" alt="" style="display: none;"><span class="tab-title">New Tab</span>';
+        
+        const closeButton = document.createElement('button');
+        closeButton.className = 'tab-close';
+        closeButton.textContent = '×';
+        closeButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.closeTab(tabId);
+        });
+        tabButton.appendChild(closeButton);
         
-        // Create webview
-        const webviewContainer = document.querySelector('.webview-wrapper');
-        if (!webviewContainer) {
+        if (!document.querySelector('.webview-wrapper')) {
             console.error('[SecureBrowser] Webview container not found!');
             return null;
         }
         
+        // Add to the tab store
+        const tab = {
+            id: tabId,
+            webviewId: `webview-${tabId}`,
+            button: tabButton,
+            webview: null,
+            url: url,
+            title: restoreState && restoreState.title ? restoreState.title : 'New Tab',
+            favicon: null,
+            pinned: !!(restoreState && restoreState.pinned),
+            // Back/forward entries mirrored here because the webview's own history is lost on restart
+            history: restoreState ? restoreState.history.slice() : [],
+            historyIndex: restoreState ? restoreState.historyIndex : -1,
+            pendingHistoryStep: 0,
+            restoringEntry: !!restoreState,
+            pendingScroll: restoreState ? { x: restoreState.scrollX, y: restoreState.scrollY } : null,
+            // Hibernated tabs keep their button and state but drop the webview
+            discarded: false,
+            lastActiveAt: Date.now()
+        };
+        this.tabStore.add(tab, index);
+        tabButton.classList.toggle('pinned', tab.pinned);
+        this.updateTabTitle(tabId);
+        
+        // Add to DOM
+        this.renderTabStrip();
+        this.createTabWebview(tab, url);
+        
+        // Set up tab click listener
+        tabButton.addEventListener('click', () => {
+            this.switchTab(tabId);
+        });
+        
+        // Pin, duplicate and move options come from a native menu built by main
+        tabButton.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            ebAPI.tabs.showContextMenu(tabId, tab.pinned, this.tabStore.size);
+        });
+        
+        // Switch to new tab
+        console.log('[SecureBrowser] Switching to tab:', tabId);
+        this.switchTab(tabId);
+        
+        this.scheduleSessionSave();
+        
+        console.log('[SecureBrowser] Tab created successfully:', tab);
+        return tab;
+    }
+    
+    // Create and attach a tab's webview; also used to wake a hibernated tab
+    createTabWebview(tab, url) {
         const webview = document.createElement('webview');
-        webview.id = webviewId;
+        webview.id = tab.webviewId;
         webview.className = 'webview';
         
-        // Set webview source - simpler approach
-        webview.src = url;
+        // Set webview source - EB domains load through the eb:// protocol
+        tab.webview = webview;
+        if (this.isEBDomainUrl(url)) {
+            this.navigateToEBDomain(tab, url);
+        } else {
+            webview.src = url;
+        }
         console.log('[SecureBrowser] Setting webview src to:', url);
         
         // Set webview attributes for desktop experience
@@ -610,6 +842,13 @@ class SecureBrowser {
         
         webview.addEventListener('did-finish-load', () => {
             console.log('[Tab] Webview finished loading:', url);
+            
+            // Put a restored page back where it was scrolled to
+            if (tab.pendingScroll) {
+                const { x, y } = tab.pendingScroll;
+                tab.pendingScroll = null;
+                webview.executeJavaScript(`window.scrollTo(${x}, ${y})`).catch(() => {});
+            }
             // Removed iframe fix - it was interfering with natural viewport behavior
             
             // Removed CSS injection - it was interfering with natural viewport behavior
@@ -623,14 +862,12 @@ class SecureBrowser {
             console.log('[Tab] Webview navigated to:', e.url);
             
             // Update the tab's stored URL
-            const tabIndex = this.tabs.findIndex(t => t.webview === webview);
-            if (tabIndex !== -1) {
-                this.tabs[tabIndex].url = e.url;
+            this.recordTabNavigation(tab, e.url);
+            this.updateTabTitle(tab.id, e.url);
+            if (this.tabStore.activeId === tab.id) {
+                this.updateUrlBar(e.url);
             }
             
-            this.updateUrlBar(e.url);
-            this.updateTabTitle(this.tabs.length, e.url);
-            
             // Only add to history if it's not the landing page
             if (!e.url.includes('landing.html')) {
                 ebAPI.history.add(e.url);
@@ -639,69 +876,59 @@ class SecureBrowser {
             // Removed iframe fix after navigation
         });
         
+        // Anchor and history.pushState navigations are back/forward entries too
+        webview.addEventListener('did-navigate-in-page', (e) => {
+            if (!e.isMainFrame) return;
+            this.recordTabNavigation(tab, e.url);
+            this.updateTabTitle(tab.id, e.url);
+        });
+        
         webview.addEventListener('page-title-updated', (e) => {
             console.log('[Tab] Webview title updated:', e.title);
-            this.updateTabTitle(this.tabs.length, null, e.title);
+            this.updateTabTitle(tab.id, null, e.title);
+            this.scheduleSessionSave();
         });
         
-        // Add to tabs array
-        const tab = {
-            id: tabId,
-            webviewId: webviewId,
-            button: tabButton,
-            webview: webview,
-            url: url,
-            title: 'New Tab'
-        };
-        
-        this.tabs.push(tab);
-        
-        // Add to DOM
-        if (tabsContainer) {
-            tabsContainer.appendChild(tabButton);
-        } else {
-            console.error('[SecureBrowser] Tabs container not found!');
-        }
-        
-        webviewContainer.appendChild(webview);
-        console.log('[SecureBrowser] Webview added to container');
-        
-        // Set up tab click listener
-        tabButton.addEventListener('click', (e) => {
-            if (!e.target.classList.contains('tab-close')) {
-                this.switchTab(this.tabs.length - 1);
+        // Kept on the tab so a hibernated tab still shows its icon
+        webview.addEventListener('page-favicon-updated', (e) => {
+            const favicon = e.favicons.find(icon => /^(https?:|data:image\/)/i.test(icon));
+            if (favicon) {
+                tab.favicon = favicon;
+                this.updateTabTitle(tab.id);
             }
         });
         
-        // Switch to new tab
-        console.log('[SecureBrowser] Switching to tab:', this.tabs.length - 1);
-        this.switchTab(this.tabs.length - 1);
-        
-        console.log('[SecureBrowser] Tab created successfully:', tab);
-        return tab;
+        document.querySelector('.webview-wrapper').appendChild(webview);
+        console.log('[SecureBrowser] Webview added to container');
+        return webview;
     }
     
-    
-    switchTab(index) {
-        console.log('[SecureBrowser] switchTab called with index:', index, 'total tabs:', this.tabs.length);
+    switchTab(tabId) {
+        console.log('[SecureBrowser] switchTab called with tab:', tabId, 'total tabs:', this.tabStore.size);
         
-        if (index < 0 || index >= this.tabs.length) {
-            console.warn('[SecureBrowser] Invalid tab index:', index);
+        const activeTab = this.tabStore.get(tabId);
+        if (!activeTab) {
+            console.warn('[SecureBrowser] Unknown tab:', tabId);
             return;
         }
         
         // Hide current tab
-        if (this.tabs[this.activeTabIndex]) {
-            console.log('[SecureBrowser] Hiding current tab:', this.activeTabIndex);
-            this.tabs[this.activeTabIndex].webview.style.display = 'none';
-            this.tabs[this.activeTabIndex].webview.classList.remove('active');
-            this.tabs[this.activeTabIndex].button.classList.remove('active');
-        }
-        
-        // Show new tab
-        this.activeTabIndex = index;
-        const activeTab = this.tabs[this.activeTabIndex];
-        console.log('[SecureBrowser] Showing tab:', index, 'webview src:', activeTab.webview.src);
+        const currentTab = this.tabStore.getActive();
+        if (currentTab) {
+            console.log('[SecureBrowser] Hiding current tab:', currentTab.id);
+            currentTab.webview.style.display = 'none';
+            currentTab.webview.classList.remove('active');
+            currentTab.button.classList.remove('active');
+            currentTab.lastActiveAt = Date.now();
+        }
+        
+        // Show new tab, reloading it first if it was hibernated
+        this.tabStore.setActive(tabId);
+        activeTab.lastActiveAt = Date.now();
+        if (activeTab.discarded) {
+            this.wakeTab(activeTab);
+        }
+        console.log('[SecureBrowser] Showing tab:', tabId, 'webview src:', activeTab.webview.src);
         activeTab.webview.style.display = 'block';
         activeTab.webview.style.flex = '1';
         activeTab.webview.style.width = '100%';
@@ -711,16 +938,25 @@ class SecureBrowser {
         
         // Removed iframe fix on tab switch
         
-        // Update URL bar
+        // Update URL bar and the window title other windows list it by
         this.updateUrlBar(activeTab.url);
+        document.title = `${activeTab.title} - Everything Black Browser`;
+        this.scheduleSessionSave();
         
-        console.log('[SecureBrowser] Tab switched successfully to index:', index);
+        console.log('[SecureBrowser] Tab switched successfully to:', tabId);
     }
     
-    closeTab(index) {
-        if (index < 0 || index >= this.tabs.length || this.tabs.length === 1) return;
+    // remember puts the tab on the recently closed stack; moved tabs skip it
+    closeTab(tabId, remember = true) {
+        const tab = this.tabStore.get(tabId);
+        if (!tab || this.tabStore.size === 1) return;
         
-        const tab = this.tabs[index];
+        if (remember) {
+            ebAPI.tabs.recordClosed(this.getTabState(tab));
+        }
+        
+        const nextId = this.tabStore.neighbourOf(tabId);
+        const wasActive = this.tabStore.activeId === tabId;
         
         // Remove from DOM
         if (tab.button && tab.button.parentNode) {
@@ -730,31 +966,353 @@ class SecureBrowser {
             tab.webview.parentNode.removeChild(tab.webview);
         }
         
-        // Remove from array
-        this.tabs.splice(index, 1);
+        this.tabStore.remove(tabId);
+        
+        if (wasActive) {
+            this.switchTab(nextId);
+        } else {
+            this.scheduleSessionSave();
+        }
+    }
+    
+    // ==========================================
+    // TAB HIBERNATION
+    // ==========================================
+    // Discard background tabs idle past the configured time; under memory pressure also
+    // discard the least recently used one even if it has not been idle that long
+    async hibernateIdleTabs() {
+        const candidates = this.tabStore.getAll()
+            .filter(tab => tab.id !== this.tabStore.activeId && !tab.discarded)
+            .sort((a, b) => a.lastActiveAt - b.lastActiveAt);
+        if (candidates.length === 0) return;
+        
+        const memory = await ebAPI.tabs.getMemoryStatus();
+        let relievePressure = !!(memory && memory.success && memory.pressure);
+        if (!this.hibernateAfterMinutes && !relievePressure) return;
+        
+        // With the idle timeout off, tabs only hibernate to relieve memory pressure
+        const connectedOrigins = await this.getConnectedOrigins();
+        const idleBefore = this.hibernateAfterMinutes ? Date.now() - this.hibernateAfterMinutes * 60000 : -Infinity;
+        
+        for (const tab of candidates) {
+            if (tab.lastActiveAt > idleBefore && !relievePressure) continue;
+            if (await this.isTabHibernationExempt(tab, connectedOrigins)) continue;
+            
+            await this.discardTab(tab);
+            relievePressure = false;
+        }
+    }
+    
+    // Tabs playing audio, holding edited form input or connected to the wallet stay loaded
+    async isTabHibernationExempt(tab, connectedOrigins) {
+        if (connectedOrigins.has(this.getTabOrigin(tab.url))) {
+            return true;
+        }
+        
+        try {
+            if (tab.webview.isCurrentlyAudible()) {
+                return true;
+            }
+            return await Promise.race([
+                tab.webview.executeJavaScript(UNSAVED_INPUT_CHECK),
+                new Promise((_, reject) => setTimeout(() => reject(new Error('Timed out')), 1000))
+            ]);
+        } catch (error) {
+            // A page that cannot be checked is left alone
+            return true;
+        }
+    }
+    
+    // Origins with a wallet connection, in the form main keys them by
+    async getConnectedOrigins() {
+        try {
+            const connections = await ebAPI.wallet.getConnections();
+            return new Set((connections || []).map(connection => connection.domain));
+        } catch (error) {
+            return new Set();
+        }
+    }
+    
+    getTabOrigin(url) {
+        try {
+            const parsed = new URL(url);
+            if (parsed.protocol === 'eb:') {
+                return `${parsed.protocol}//${parsed.host}`;
+            }
+            return parsed.origin !== 'null' ? parsed.origin : parsed.href.split(/[?#]/)[0];
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    // Drop a background tab's webview, keeping its title, favicon, URL, scroll position and history
+    async discardTab(tab) {
+        const scroll = await this.getTabScroll(tab);
+        if (tab.discarded || !this.tabStore.get(tab.id) || tab.id === this.tabStore.activeId) return;
+        
+        console.log('[SecureBrowser] Hibernating tab:', tab.id, tab.url);
+        tab.pendingScroll = scroll;
+        tab.webview.remove();
+        tab.webview = null;
+        tab.discarded = true;
+        tab.button.classList.add('discarded');
+    }
+    
+    // Reload a hibernated tab where it left off; its back/forward entries come from the tab's own history
+    wakeTab(tab) {
+        console.log('[SecureBrowser] Waking tab:', tab.id, tab.url);
+        tab.discarded = false;
+        tab.button.classList.remove('discarded');
+        tab.restoringEntry = tab.historyIndex >= 0;
+        this.createTabWebview(tab, tab.url);
+    }
+    
+    async loadTabSettings() {
+        const result = await ebAPI.session.getSettings();
+        if (result.success) {
+            this.hibernateAfterMinutes = result.settings.hibernateAfterMinutes;
+        }
+        return result;
+    }
+    
+    // Put the tab buttons in store order
+    renderTabStrip() {
+        const tabsContainer = document.getElementById('tabs-container');
+        if (!tabsContainer) return;
+        
+        this.tabStore.getAll().forEach(tab => tabsContainer.appendChild(tab.button));
+    }
+    
+    // Drag tab buttons to reorder them; pinned and unpinned tabs stay in their own groups
+    setupTabDragging() {
+        const tabsContainer = document.getElementById('tabs-container');
+        if (!tabsContainer) return;
+        
+        tabsContainer.addEventListener('dragstart', (e) => {
+            const button = e.target.closest('.tab');
+            if (!button) return;
+            this.draggedTabId = button.id;
+            e.dataTransfer.effectAllowed = 'move';
+            button.classList.add('dragging');
+        });
+        
+        tabsContainer.addEventListener('dragover', (e) => {
+            if (!this.draggedTabId) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+        });
+        
+        tabsContainer.addEventListener('drop', (e) => {
+            if (!this.draggedTabId) return;
+            e.preventDefault();
+            
+            // Position among the other tabs, from the midpoints left of the cursor
+            const index = this.tabStore.getAll()
+                .filter(tab => tab.id !== this.draggedTabId)
+                .filter(tab => {
+                    const rect = tab.button.getBoundingClientRect();
+                    return rect.left + rect.width / 2 < e.clientX;
+                }).length;
+            this.tabStore.move(this.draggedTabId, index);
+            this.renderTabStrip();
+            this.scheduleSessionSave();
+        });
+        
+        tabsContainer.addEventListener('dragend', () => {
+            const tab = this.tabStore.get(this.draggedTabId);
+            if (tab) {
+                tab.button.classList.remove('dragging');
+            }
+            this.draggedTabId = null;
+        });
+    }
+    
+    setTabPinned(tabId, pinned) {
+        const tab = this.tabStore.get(tabId);
+        if (!tab) return;
+        
+        this.tabStore.setPinned(tabId, pinned);
+        tab.button.classList.toggle('pinned', pinned);
+        this.updateTabTitle(tabId);
+        this.renderTabStrip();
+        this.scheduleSessionSave();
+    }
+    
+    // Open a copy of a tab, with its back/forward entries, right after it
+    duplicateTab(tabId) {
+        const tab = this.tabStore.get(tabId);
+        if (!tab) return;
+        
+        this.createTab(tab.url, this.getTabState(tab), this.tabStore.indexOf(tabId) + 1);
+    }
+    
+    // Hand a tab to another window, or to a new one when windowId is null
+    async moveTabToWindow(tabId, windowId = null) {
+        const tab = this.tabStore.get(tabId);
+        if (!tab) return;
+        
+        const state = this.getTabState(tab, await this.getTabScroll(tab));
+        const result = await ebAPI.tabs.moveToWindow(state, windowId);
+        if (!result.success) {
+            modalSystem.alert(result.error || 'Failed to move tab');
+            return;
+        }
+        
+        // A window whose last tab moved away has nothing left to show; an empty
+        // snapshot keeps it off the recently closed list
+        if (this.tabStore.size === 1) {
+            clearTimeout(this.sessionSaveTimer);
+            await ebAPI.session.save({ tabs: [], activeIndex: 0 });
+            ebAPI.window.control('close');
+        } else {
+            this.closeTab(tabId, false);
+        }
+    }
+    
+    runTabCommand(tabId, command, windowId) {
+        switch (command) {
+            case 'new-tab':
+                this.createTab(undefined, null, this.tabStore.indexOf(tabId) + 1);
+                break;
+            case 'duplicate':
+                this.duplicateTab(tabId);
+                break;
+            case 'pin':
+                this.setTabPinned(tabId, true);
+                break;
+            case 'unpin':
+                this.setTabPinned(tabId, false);
+                break;
+            case 'move-to-new-window':
+                this.moveTabToWindow(tabId, null);
+                break;
+            case 'move-to-window':
+                this.moveTabToWindow(tabId, windowId);
+                break;
+            case 'close':
+                this.closeTab(tabId);
+                break;
+        }
+    }
+    
+    // Everything needed to recreate a tab elsewhere: session restore, duplicates and moved tabs
+    getTabState(tab, scroll = null) {
+        return {
+            url: tab.url,
+            title: tab.title,
+            pinned: tab.pinned,
+            scrollX: scroll ? scroll.x : 0,
+            scrollY: scroll ? scroll.y : 0,
+            history: tab.history.slice(),
+            historyIndex: tab.historyIndex
+        };
+    }
+    
+    // Keep a tab's back/forward entries in step with its webview
+    recordTabNavigation(tab, url) {
+        const step = tab.pendingHistoryStep;
+        tab.pendingHistoryStep = 0;
+        if (!url || url === 'about:blank') return;
+        
+        if (tab.restoringEntry) {
+            // A saved entry was loaded directly, so the webview's own history no longer lines up; restart it here
+            tab.restoringEntry = false;
+            tab.history[tab.historyIndex] = url;
+            tab.webview.clearHistory();
+        } else if (step) {
+            tab.historyIndex = Math.min(Math.max(tab.historyIndex + step, 0), tab.history.length - 1);
+            tab.history[tab.historyIndex] = url;
+        } else if (tab.history[tab.historyIndex] !== url) {
+            tab.history = tab.history.slice(0, tab.historyIndex + 1).concat(url).slice(-MAX_TAB_HISTORY);
+            tab.historyIndex = tab.history.length - 1;
+        }
+        
+        this.scheduleSessionSave();
+    }
+    
+    // Load a back/forward entry that only exists in the restored history
+    loadTabHistoryEntry(tab, step) {
+        tab.historyIndex += step;
+        tab.restoringEntry = true;
+        tab.url = tab.history[tab.historyIndex];
+        tab.webview.src = tab.url;
+        this.updateUrlBar(tab.url);
+    }
+    
+    // ==========================================
+    // SESSION RESTORE
+    // ==========================================
+    // Reopen the tabs main handed this window; false when there are none
+    async restoreSession() {
+        const result = await ebAPI.session.takeRestore();
+        if (!result || !result.success || !result.session || result.session.tabs.length === 0) {
+            return false;
+        }
         
-        // Adjust active tab index
-        if (this.activeTabIndex >= index && this.activeTabIndex > 0) {
-            this.activeTabIndex--;
+        const tabs = result.session.tabs.map(saved => this.createTab(saved.url, saved));
+        this.switchTab(tabs[Math.min(result.session.activeIndex, tabs.length - 1)].id);
+        return true;
+    }
+    
+    // Save shortly after a change, coalescing bursts of navigation events
+    scheduleSessionSave() {
+        clearTimeout(this.sessionSaveTimer);
+        this.sessionSaveTimer = setTimeout(() => this.saveSession(), SESSION_SAVE_DELAY);
+    }
+    
+    // Scroll offset of a tab's page; a page still loading keeps its restored offset
+    async getTabScroll(tab) {
+        if (tab.pendingScroll) {
+            return tab.pendingScroll;
         }
         
-        // Switch to active tab
-        if (this.tabs.length > 0) {
-            this.switchTab(this.activeTabIndex);
+        try {
+            const [x, y] = await Promise.race([
+                tab.webview.executeJavaScript('[window.scrollX, window.scrollY]'),
+                new Promise((_, reject) => setTimeout(() => reject(new Error('Timed out')), 1000))
+            ]);
+            return { x, y };
+        } catch (error) {
+            return { x: 0, y: 0 };
         }
     }
     
-    updateTabTitle(index, url, title) {
-        if (index < 0 || index >= this.tabs.length) return;
+    // Send this window's tabs to main for the session snapshot
+    async saveSession() {
+        clearTimeout(this.sessionSaveTimer);
+        
+        const tabs = await Promise.all(this.tabStore.getAll().map(async tab => this.getTabState(tab, await this.getTabScroll(tab))));
+        
+        await ebAPI.session.save({ tabs, activeIndex: this.tabStore.indexOf(this.tabStore.activeId) });
+    }
+    
+    updateTabTitle(tabId, url, title) {
+        const tab = this.tabStore.get(tabId);
+        if (!tab) return;
         
-        const tab = this.tabs[index];
         if (url) tab.url = url;
         if (title) tab.title = title;
         
+        const favicon = tab.button.querySelector('.tab-favicon');
+        if (favicon && tab.favicon) {
+            favicon.src = tab.favicon;
+            favicon.style.display = '';
+        }
+        
+        // Pinned tabs only have room for an icon or initial; the full title stays in the tooltip
         const displayTitle = tab.title || tab.url || 'New Tab';
         const tabTitleSpan = tab.button.querySelector('.tab-title');
         if (tabTitleSpan) {
-            tabTitleSpan.textContent = displayTitle.length > 20 ? displayTitle.substring(0, 20) + '...' : displayTitle;
+            if (tab.pinned) {
+                tabTitleSpan.textContent = tab.favicon ? '' : displayTitle.charAt(0).toUpperCase();
+            } else {
+                tabTitleSpan.textContent = displayTitle.length > 20 ? displayTitle.substring(0, 20) + '...' : displayTitle;
+            }
+        }
+        tab.button.title = displayTitle;
+        
+        if (this.tabStore.activeId === tabId) {
+            document.title = `${displayTitle} - Everything Black Browser`;
         }
     }
     
@@ -764,6 +1322,12 @@ class SecureBrowser {
     navigateToUrl(url) {
         if (!url || typeof url !== 'string') return;
         
+        // EB names resolve on chain rather than through DNS
+        if (this.isEBDomainUrl(url)) {
+            this.navigateToEBDomain(this.getActiveTab(), url);
+            return;
+        }
+        
         // Clean up URL
         if (!url.startsWith('http://') && !url.startsWith('https://') && !url.startsWith('file://')) {
             if (url.includes('.') || url.includes(':')) {
@@ -773,7 +1337,7 @@ class SecureBrowser {
             }
         }
         
-        const activeTab = this.tabs[this.activeTabIndex];
+        const activeTab = this.getActiveTab();
         if (activeTab && activeTab.webview) {
             activeTab.webview.src = url;
             activeTab.url = url;
@@ -781,22 +1345,58 @@ class SecureBrowser {
         }
     }
     
+    // .guap / .hbcu names, with or without a scheme or path
+    isEBDomainUrl(url) {
+        return typeof url === 'string' && /^((https?|eb):\/\/)?[a-z0-9.-]+\.(guap|hbcu)([\/?#]|$)/i.test(url.trim());
+    }
+    
+    // Load an EB domain through the eb:// protocol handler
+    navigateToEBDomain(tab, url) {
+        if (!tab || !tab.webview) return;
+        
+        const ebUrl = 'eb://' + url.trim().replace(/^(https?:\/\/|eb:\/\/)?([^\/?#]+)/i, (match, scheme, host) => host.toLowerCase());
+        tab.webview.src = ebUrl;
+        tab.url = ebUrl;
+        if (this.getActiveTab() === tab) {
+            this.updateUrlBar(ebUrl);
+        }
+    }
+    
+    // EB name shown in the URL bar for eb:// pages, otherwise null
+    getEBDisplayUrl(url) {
+        if (!url || !url.startsWith('eb://')) return null;
+        
+        const display = url.slice('eb://'.length);
+        return display.endsWith('/') && display.indexOf('/') === display.length - 1 ? display.slice(0, -1) : display;
+    }
+    
+    // Entries past either end of the webview's own history come from a restored session
     goBack() {
-        const activeTab = this.tabs[this.activeTabIndex];
-        if (activeTab && activeTab.webview && activeTab.webview.canGoBack()) {
+        const activeTab = this.getActiveTab();
+        if (!activeTab || !activeTab.webview) return;
+        
+        if (activeTab.webview.canGoBack()) {
+            activeTab.pendingHistoryStep = -1;
             activeTab.webview.goBack();
+        } else if (activeTab.historyIndex > 0) {
+            this.loadTabHistoryEntry(activeTab, -1);
         }
     }
     
     goForward() {
-        const activeTab = this.tabs[this.activeTabIndex];
-        if (activeTab && activeTab.webview && activeTab.webview.canGoForward()) {
+        const activeTab = this.getActiveTab();
+        if (!activeTab || !activeTab.webview) return;
+        
+        if (activeTab.webview.canGoForward()) {
+            activeTab.pendingHistoryStep = 1;
             activeTab.webview.goForward();
+        } else if (activeTab.historyIndex < activeTab.history.length - 1) {
+            this.loadTabHistoryEntry(activeTab, 1);
         }
     }
     
     refresh() {
-        const activeTab = this.tabs[this.activeTabIndex];
+        const activeTab = this.getActiveTab();
         if (activeTab && activeTab.webview) {
             activeTab.webview.reload();
         }
@@ -807,8 +1407,16 @@ class SecureBrowser {
         const urlLock = document.getElementById('url-lock');
         
         if (urlBar) {
+            const ebDisplayUrl = this.getEBDisplayUrl(url);
+            
             // Check if it's the landing page or any local file
-            if (url && url.includes('landing.html')) {
+            if (ebDisplayUrl) {
+                urlBar.value = ebDisplayUrl;
+                if (urlLock) {
+                    urlLock.innerHTML = '<i class="fas fa-globe"></i>';
+                    urlLock.style.color = '#f78513';
+                }
+            } else if (url && url.includes('landing.html')) {
                 urlBar.value = 'Home of The Everything Black Browser';
                 // Update lock icon to home icon
                 if (urlLock) {
@@ -858,7 +1466,7 @@ class SecureBrowser {
         
         // Set current URL and title
         const nameInput = document.getElementById('bookmark-name');
-        const activeTab = this.tabs[this.activeTabIndex];
+        const activeTab = this.getActiveTab();
         
         if (nameInput && activeTab) {
             nameInput.value = activeTab.title || activeTab.url || '';
@@ -874,7 +1482,7 @@ class SecureBrowser {
     addBookmark() {
         const nameInput = document.getElementById('bookmark-name');
         const folderSelect = document.getElementById('bookmark-folder');
-        const activeTab = this.tabs[this.activeTabIndex];
+        const activeTab = this.getActiveTab();
         
         if (!nameInput || !folderSelect || !activeTab) return;
         
@@ -951,6 +1559,13 @@ class SecureBrowser {
         }
     }
     
+    async loadRecentlyClosed() {
+        const result = await ebAPI.tabs.getRecentlyClosed();
+        if (result.success) {
+            this.recentlyClosed = result.entries;
+        }
+    }
+    
     updateHistoryPanel() {
         const panel = document.getElementById('history-panel');
         if (!panel) return;
@@ -960,6 +1575,46 @@ class SecureBrowser {
             <button onclick="browser.clearHistory()" class="clear-btn">Clear History</button>
         `;
         
+        // Closed tabs and windows, reopened with their back/forward history
+        if (this.recentlyClosed.length > 0) {
+            const heading = document.createElement('h4');
+            heading.textContent = 'Recently Closed';
+            heading.style.cssText = 'margin: 10px 0 5px; color: #ccc;';
+            panel.appendChild(heading);
+            
+            this.recentlyClosed.slice(0, 10).forEach(entry => {
+                const closedDiv = document.createElement('div');
+                closedDiv.className = 'history-item';
+                
+                const link = document.createElement('a');
+                link.href = '#';
+                link.title = entry.url;
+                link.textContent = entry.type === 'window'
+                    ? `${entry.tabCount} tab${entry.tabCount === 1 ? '' : 's'} - ${entry.title}`
+                    : entry.title;
+                link.addEventListener('click', async (e) => {
+                    e.preventDefault();
+                    const result = await ebAPI.tabs.reopenClosed(entry.id);
+                    if (!result.success) {
+                        modalSystem.alert(result.error || 'Failed to reopen');
+                    }
+                });
+                
+                const time = document.createElement('span');
+                time.className = 'history-time';
+                time.textContent = `${entry.type === 'window' ? 'Window' : 'Tab'} closed ${new Date(entry.closedAt).toLocaleTimeString()}`;
+                
+                closedDiv.appendChild(link);
+                closedDiv.appendChild(time);
+                panel.appendChild(closedDiv);
+            });
+            
+            const historyHeading = document.createElement('h4');
+            historyHeading.textContent = 'Visited';
+            historyHeading.style.cssText = 'margin: 10px 0 5px; color: #ccc;';
+            panel.appendChild(historyHeading);
+        }
+        
         this.history.slice(0, 50).forEach(item => {
             const historyDiv = document.createElement('div');
             historyDiv.className = 'history-item';
@@ -1060,6 +1715,9 @@ class SecureBrowser {
         
         // Set up right panel wallet button event listeners
         this.setupRightPanelWalletButtons();
+        this.setupAccountSelector();
+        this.setupNetworkSettings();
+        this.setupActivity();
         
         // Check if password exists
         const hasPassword = await ebAPI.password.checkExists();
@@ -1188,17 +1846,36 @@ class SecureBrowser {
         if (exportProfileBtn) {
             exportProfileBtn.addEventListener('click', () => {
                 console.log('[RightPanel] Export profile button clicked');
-                this.exportProfile();
+                this.showExportProfileForm(true);
             });
         }
-    }
-    
-    showWalletSetup() {
-        // Hide all sections first
-        this.hideAllWalletSections();
         
-        // Show the right panel wallet setup section
-        const walletSection = document.getElementById('wallet-setup-section');
+        const exportProfileConfirmBtn = document.getElementById('export-profile-confirm');
+        const cancelProfileExportBtn = document.getElementById('cancel-profile-export');
+        
+        if (exportProfileConfirmBtn) {
+            exportProfileConfirmBtn.addEventListener('click', () => this.exportProfile());
+        }
+        
+        if (cancelProfileExportBtn) {
+            cancelProfileExportBtn.addEventListener('click', () => this.showExportProfileForm(false));
+        }
+        
+        const disconnectAllBtn = document.getElementById('right-panel-disconnect-all');
+        if (disconnectAllBtn) {
+            disconnectAllBtn.addEventListener('click', () => {
+                console.log('[RightPanel] Disconnect all sites button clicked');
+                this.disconnectAllSites();
+            });
+        }
+    }
+    
+    showWalletSetup() {
+        // Hide all sections first
+        this.hideAllWalletSections();
+        
+        // Show the right panel wallet setup section
+        const walletSection = document.getElementById('wallet-setup-section');
         if (walletSection) {
             walletSection.style.display = 'block';
         }
@@ -1420,8 +2097,8 @@ class SecureBrowser {
     
     async loadWalletData() {
         try {
-            // Auto-connect to GuapcoinX network first
-            await this.connectToGuapcoinX();
+            // Auto-connect to the active network first
+            await this.connectToActiveNetwork();
             
             // Load wallet
             const walletResult = await ebAPI.wallet.load();
@@ -1437,7 +2114,7 @@ class SecureBrowser {
             if (balanceResult.success) {
                 const balanceEl = document.getElementById('wallet-balance');
                 if (balanceEl) {
-                    balanceEl.textContent = balanceResult.balance + ' ETH';
+                    balanceEl.textContent = balanceResult.balance + ' ' + this.getNativeSymbol();
                 }
             }
             
@@ -1446,31 +2123,29 @@ class SecureBrowser {
         }
     }
     
-    async connectToGuapcoinX() {
+    async connectToActiveNetwork() {
         try {
-            console.log('[Web3Panel] Auto-connecting to GuapcoinX network...');
-            const result = await ebAPI.wallet.connectNetwork(
-                'https://rpc-mainnet.guapcoinx.com', // Primary RPC
-                71111,
-                'https://rpc-mainnet-2.guapcoinx.com' // Fallback RPC
-            );
+            console.log('[Web3Panel] Auto-connecting to active network...');
+            const result = await ebAPI.networks.connectActive();
             
             if (result.success) {
-                console.log('[Web3Panel] Successfully connected to GuapcoinX network');
+                const network = result.network;
+                this.activeNetwork = network;
+                console.log('[Web3Panel] Successfully connected to', network.name);
                 // Update button text to show connected status for both panels
                 const connectBtn = document.getElementById('connect-network');
                 const rightConnectBtn = document.getElementById('right-connect-network');
                 
                 if (connectBtn) {
-                    connectBtn.innerHTML = '<i class="fas fa-check-circle"></i> Connected to GuapcoinX';
+                    connectBtn.innerHTML = '<i class="fas fa-check-circle"></i> Connected to ' + network.name;
                     connectBtn.disabled = true;
                 }
                 if (rightConnectBtn) {
-                    rightConnectBtn.innerHTML = '<i class="fas fa-check-circle"></i> Connected to GuapcoinX';
+                    rightConnectBtn.innerHTML = '<i class="fas fa-check-circle"></i> Connected to ' + network.name;
                     rightConnectBtn.disabled = true;
                 }
             } else {
-                console.error('[Web3Panel] Failed to connect to GuapcoinX:', result.error);
+                console.error('[Web3Panel] Failed to connect to active network:', result.error);
             }
             
             return result;
@@ -1480,6 +2155,404 @@ class SecureBrowser {
         }
     }
     
+    // Symbol of the active network's native currency
+    getNativeSymbol() {
+        return this.activeNetwork ? this.activeNetwork.nativeCurrency.symbol : 'GUAP';
+    }
+    
+    // ==========================================
+    // ACCOUNTS
+    // ==========================================
+    setupAccountSelector() {
+        const accountSelect = document.getElementById('account-select');
+        const addBtn = document.getElementById('add-account-btn');
+        const renameBtn = document.getElementById('rename-account-btn');
+        
+        if (accountSelect) {
+            accountSelect.onchange = () => this.switchAccount(accountSelect.value);
+        }
+        
+        if (addBtn) {
+            addBtn.onclick = () => this.addAccount();
+        }
+        
+        if (renameBtn) {
+            renameBtn.onclick = () => this.renameAccount();
+        }
+    }
+    
+    async loadAccounts() {
+        try {
+            const result = await ebAPI.wallet.listAccounts();
+            if (!result.success) {
+                console.error('[Web3Panel] Failed to load accounts:', result.error);
+                return;
+            }
+            
+            this.accounts = result.accounts;
+            this.activeAccountAddress = result.activeAddress;
+            this.displayAccounts();
+        } catch (error) {
+            console.error('[Web3Panel] Load accounts error:', error);
+        }
+    }
+    
+    displayAccounts() {
+        const accountSelect = document.getElementById('account-select');
+        if (!accountSelect) return;
+        
+        accountSelect.innerHTML = '';
+        this.accounts.forEach(account => {
+            const option = document.createElement('option');
+            option.value = account.address;
+            option.textContent = `${account.label} (${account.address.slice(0, 6)}...${account.address.slice(-4)})`;
+            option.selected = account.address === this.activeAccountAddress;
+            accountSelect.appendChild(option);
+        });
+        
+        this.showAccountDomains();
+    }
+    
+    // Primary EB domain names for addresses, keyed by lowercase address ({} when lookup fails)
+    async lookupDomainNames(addresses) {
+        const unique = [...new Set(addresses.filter(Boolean))];
+        if (unique.length === 0) return {};
+        
+        try {
+            const result = await ebAPI.domains.reverseResolve(unique);
+            return result.success ? result.names : {};
+        } catch (error) {
+            console.error('[Web3Panel] Reverse resolve error:', error);
+            return {};
+        }
+    }
+    
+    // Add each account's .guap name to the account list and under the active address
+    async showAccountDomains() {
+        const names = await this.lookupDomainNames(this.accounts.map(account => account.address));
+        
+        const accountSelect = document.getElementById('account-select');
+        if (accountSelect) {
+            Array.from(accountSelect.options).forEach(option => {
+                const account = this.accounts.find(a => a.address === option.value);
+                const name = names[option.value.toLowerCase()];
+                if (account && name) {
+                    option.textContent = `${account.label} · ${name} (${account.address.slice(0, 6)}...${account.address.slice(-4)})`;
+                }
+            });
+        }
+        
+        const domainEl = document.getElementById('right-wallet-domain');
+        if (domainEl) {
+            const name = this.activeAccountAddress ? names[this.activeAccountAddress.toLowerCase()] : null;
+            domainEl.textContent = name || '';
+            domainEl.style.display = name ? 'block' : 'none';
+        }
+    }
+    
+    async switchAccount(address) {
+        const result = await ebAPI.wallet.setActiveAccount(address);
+        if (!result.success) {
+            if (modalSystem) {
+                await modalSystem.alert('Failed to switch account: ' + result.error);
+            }
+            this.displayAccounts();
+            return;
+        }
+        
+        await this.loadRightPanelWalletData();
+    }
+    
+    async addAccount() {
+        if (!modalSystem) return;
+        
+        const label = await modalSystem.prompt('Name for the new account (leave blank for a default name):');
+        if (label === null) return;
+        
+        const result = await ebAPI.wallet.addAccount(label.trim() || null);
+        if (!result.success) {
+            await modalSystem.alert('Failed to add account: ' + result.error);
+            return;
+        }
+        
+        await this.switchAccount(result.account.address);
+    }
+    
+    async renameAccount() {
+        if (!modalSystem) return;
+        
+        const account = this.accounts.find(a => a.address === this.activeAccountAddress);
+        if (!account) return;
+        
+        const label = await modalSystem.prompt('Enter a new name for this account:');
+        if (label === null || !label.trim()) return;
+        
+        const result = await ebAPI.wallet.renameAccount(account.address, label.trim());
+        if (!result.success) {
+            await modalSystem.alert('Failed to rename account: ' + result.error);
+            return;
+        }
+        
+        await this.loadAccounts();
+    }
+    
+    // ==========================================
+    // NETWORK SETTINGS
+    // ==========================================
+    setupNetworkSettings() {
+        const networkSelect = document.getElementById('network-select');
+        const editBtn = document.getElementById('edit-network-btn');
+        const addBtn = document.getElementById('add-network-btn');
+        const removeBtn = document.getElementById('remove-network-btn');
+        const saveBtn = document.getElementById('network-form-save');
+        const cancelBtn = document.getElementById('network-form-cancel');
+        
+        if (networkSelect) {
+            networkSelect.onchange = () => this.switchNetwork(networkSelect.value);
+        }
+        
+        if (editBtn) {
+            editBtn.onclick = () => {
+                const network = this.networks.find(n => n.chainId === this.activeNetwork?.chainId);
+                this.showNetworkForm(network);
+            };
+        }
+        
+        if (addBtn) {
+            addBtn.onclick = () => this.showNetworkForm(null);
+        }
+        
+        if (removeBtn) {
+            removeBtn.onclick = () => this.removeNetwork();
+        }
+        
+        if (saveBtn) {
+            saveBtn.onclick = () => this.saveNetworkForm();
+        }
+        
+        if (cancelBtn) {
+            cancelBtn.onclick = () => {
+                const form = document.getElementById('network-form');
+                if (form) form.style.display = 'none';
+            };
+        }
+        
+        // Refresh RPC endpoint health while the Web3 panel is open
+        setInterval(() => {
+            const panel = document.getElementById('web3-right-panel');
+            if (panel && panel.classList.contains('open')) {
+                this.loadRpcStatus();
+            }
+        }, 30000);
+        
+        // Keep the panel in sync when a site or another window switches chains
+        ebAPI.on('wallet-network-changed', async () => {
+            await this.loadNetworks();
+            await this.loadRightPanelWalletData();
+        });
+        
+        this.loadNetworks();
+    }
+    
+    async loadNetworks() {
+        try {
+            const result = await ebAPI.networks.list();
+            if (!result.success) {
+                console.error('[Web3Panel] Failed to load networks:', result.error);
+                return;
+            }
+            
+            this.networks = result.networks;
+            this.activeNetwork = result.networks.find(n => n.chainId === result.activeChainId) || result.networks[0];
+            this.displayNetworks();
+        } catch (error) {
+            console.error('[Web3Panel] Load networks error:', error);
+        }
+    }
+    
+    displayNetworks() {
+        const networkSelect = document.getElementById('network-select');
+        if (networkSelect) {
+            networkSelect.innerHTML = '';
+            this.networks.forEach(network => {
+                const option = document.createElement('option');
+                option.value = network.chainId;
+                option.textContent = `${network.name} (${parseInt(network.chainId, 16)})`;
+                option.selected = network.chainId === this.activeNetwork.chainId;
+                networkSelect.appendChild(option);
+            });
+        }
+        
+        const rpcEl = document.getElementById('network-info-rpc');
+        const chainIdEl = document.getElementById('network-info-chain-id');
+        const explorerEl = document.getElementById('network-info-explorer');
+        
+        if (rpcEl) rpcEl.textContent = this.activeNetwork.rpcUrls[0];
+        this.loadRpcStatus();
+        if (chainIdEl) chainIdEl.textContent = parseInt(this.activeNetwork.chainId, 16);
+        if (explorerEl) explorerEl.textContent = this.activeNetwork.blockExplorerUrl || 'None';
+        
+        const removeBtn = document.getElementById('remove-network-btn');
+        if (removeBtn) {
+            removeBtn.disabled = !!this.activeNetwork.builtIn;
+        }
+        
+        const rightConnectBtn = document.getElementById('right-connect-network');
+        if (rightConnectBtn && !rightConnectBtn.disabled) {
+            rightConnectBtn.textContent = 'Connect to ' + this.activeNetwork.name;
+        }
+    }
+    
+    // Active RPC endpoint and the health of every endpoint in the pool
+    async loadRpcStatus() {
+        const indicator = document.getElementById('network-rpc-indicator');
+        const rpcEl = document.getElementById('network-info-rpc');
+        const list = document.getElementById('network-rpc-endpoints');
+        if (!indicator || !rpcEl || !list) return;
+        
+        const result = await ebAPI.networks.getRpcStatus();
+        list.innerHTML = '';
+        if (!result.success) {
+            indicator.style.color = '#ff6b6b';
+            indicator.title = result.error;
+            return;
+        }
+        
+        const { activeUrl, endpoints } = result.status;
+        const unhealthy = endpoints.filter(endpoint => !endpoint.healthy).length;
+        indicator.style.color = !activeUrl ? '#ff6b6b' : (unhealthy > 0 ? '#ff9800' : '#4caf50');
+        indicator.title = !activeUrl
+            ? 'No RPC endpoint is reachable'
+            : `${endpoints.length - unhealthy} of ${endpoints.length} endpoints healthy`;
+        rpcEl.textContent = activeUrl || 'No reachable endpoint';
+        
+        // Only worth listing when there is something to fail over to
+        if (endpoints.length < 2) return;
+        
+        endpoints.forEach(endpoint => {
+            const row = document.createElement('div');
+            row.style.cssText = 'color: #ccc; word-break: break-all;';
+            
+            const dot = document.createElement('span');
+            dot.style.color = !endpoint.healthy ? '#ff6b6b' : (endpoint.lagging ? '#ff9800' : '#4caf50');
+            dot.textContent = '● ';
+            
+            const details = !endpoint.healthy
+                ? endpoint.lastError || 'Unreachable'
+                : [
+                    endpoint.latencyMs !== null ? `${endpoint.latencyMs} ms` : null,
+                    endpoint.blocksBehind ? `${endpoint.blocksBehind} blocks behind` : null
+                ].filter(Boolean).join(', ');
+            
+            const label = document.createElement('span');
+            label.textContent = details ? `${endpoint.url} (${details})` : endpoint.url;
+            
+            row.appendChild(dot);
+            row.appendChild(label);
+            list.appendChild(row);
+        });
+    }
+    
+    async switchNetwork(chainId) {
+        const result = await ebAPI.networks.setActive(chainId);
+        if (!result.success) {
+            if (modalSystem) {
+                await modalSystem.alert('Failed to switch network: ' + result.error);
+            }
+            return;
+        }
+        
+        this.activeNetwork = result.network;
+        await this.loadNetworks();
+        await this.loadRightPanelWalletData();
+    }
+    
+    showNetworkForm(network) {
+        const form = document.getElementById('network-form');
+        if (!form) return;
+        
+        this.editingNetworkChainId = network ? network.chainId : null;
+        
+        const fields = {
+            'network-form-name': network ? network.name : '',
+            'network-form-chain-id': network ? parseInt(network.chainId, 16) : '',
+            'network-form-rpc': network ? network.rpcUrls.join('\n') : '',
+            'network-form-symbol': network ? network.nativeCurrency.symbol : '',
+            'network-form-currency-name': network ? network.nativeCurrency.name : '',
+            'network-form-decimals': network ? network.nativeCurrency.decimals : 18,
+            'network-form-explorer': network && network.blockExplorerUrl ? network.blockExplorerUrl : ''
+        };
+        
+        Object.entries(fields).forEach(([id, value]) => {
+            const input = document.getElementById(id);
+            if (input) input.value = value;
+        });
+        
+        // Chain ID identifies the network, so it cannot be edited
+        const chainIdInput = document.getElementById('network-form-chain-id');
+        if (chainIdInput) chainIdInput.disabled = !!network;
+        
+        const errorDiv = document.getElementById('network-form-error');
+        if (errorDiv) errorDiv.textContent = '';
+        
+        form.style.display = 'block';
+    }
+    
+    async saveNetworkForm() {
+        const value = (id) => {
+            const input = document.getElementById(id);
+            return input ? input.value.trim() : '';
+        };
+        const errorDiv = document.getElementById('network-form-error');
+        
+        const network = {
+            name: value('network-form-name'),
+            chainId: value('network-form-chain-id'),
+            rpcUrls: value('network-form-rpc').split(/[\n,]+/).map(url => url.trim()).filter(Boolean),
+            nativeCurrency: {
+                name: value('network-form-currency-name'),
+                symbol: value('network-form-symbol'),
+                decimals: value('network-form-decimals') || 18
+            },
+            blockExplorerUrl: value('network-form-explorer') || null
+        };
+        
+        const result = this.editingNetworkChainId
+            ? await ebAPI.networks.update(this.editingNetworkChainId, network)
+            : await ebAPI.networks.add(network);
+        
+        if (!result.success) {
+            if (errorDiv) errorDiv.textContent = result.error;
+            return;
+        }
+        
+        const form = document.getElementById('network-form');
+        if (form) form.style.display = 'none';
+        await this.loadNetworks();
+    }
+    
+    async removeNetwork() {
+        if (!modalSystem || !this.activeNetwork) return;
+        
+        const network = this.activeNetwork;
+        if (network.builtIn) {
+            await modalSystem.alert(`${network.name} is built in and cannot be removed.`);
+            return;
+        }
+        
+        const confirmed = await modalSystem.confirm(`Remove ${network.name}? You will be switched back to GuapcoinX.`);
+        if (!confirmed) return;
+        
+        const fallback = this.networks.find(n => n.builtIn);
+        await this.switchNetwork(fallback.chainId);
+        
+        const result = await ebAPI.networks.remove(network.chainId);
+        if (!result.success) {
+            await modalSystem.alert('Failed to remove network: ' + result.error);
+        }
+        await this.loadNetworks();
+    }
+    
     setupWalletInterfaceButtons() {
         const sendBtn = document.getElementById('send-btn');
         const lockBtn = document.getElementById('lock-wallet-btn');
@@ -1528,9 +2601,9 @@ class SecureBrowser {
         if (connectBtn) {
             connectBtn.onclick = async () => {
                 console.log('[Web3Panel] Manual network connection requested');
-                const result = await this.connectToGuapcoinX();
+                const result = await this.connectToActiveNetwork();
                 if (result.success && modalSystem) {
-                    await modalSystem.alert('Connected to GuapcoinX network!');
+                    await modalSystem.alert(`Connected to ${result.network.name} network!`);
                 } else if (!result.success && modalSystem) {
                     await modalSystem.alert('Failed to connect: ' + result.error);
                 }
@@ -1542,9 +2615,9 @@ class SecureBrowser {
         if (rightConnectBtn) {
             rightConnectBtn.onclick = async () => {
                 console.log('[Web3Panel] Manual network connection requested from right panel');
-                const result = await this.connectToGuapcoinX();
+                const result = await this.connectToActiveNetwork();
                 if (result.success && modalSystem) {
-                    await modalSystem.alert('Connected to GuapcoinX network!');
+                    await modalSystem.alert(`Connected to ${result.network.name} network!`);
                 } else if (!result.success && modalSystem) {
                     await modalSystem.alert('Failed to connect: ' + result.error);
                 }
@@ -1582,17 +2655,36 @@ class SecureBrowser {
     async showSendDialog() {
         if (!modalSystem) return;
         
-        const to = await modalSystem.prompt('Enter recipient address:');
-        if (!to) return;
+        const recipient = await modalSystem.prompt('Enter recipient address or EB domain (e.g. name.guap):');
+        if (!recipient) return;
+        
+        // Domains are sent to their current owner; the resolved address is shown before confirming
+        let to = recipient.trim();
+        let toDomain = null;
+        if (/\.(guap|hbcu)$/i.test(to)) {
+            const resolved = await ebAPI.domains.resolveRecipient(to);
+            if (!resolved.success) {
+                await modalSystem.alert('Could not resolve domain: ' + resolved.error);
+                return;
+            }
+            to = resolved.address;
+            toDomain = resolved.domain;
+        } else if (!/^0x[0-9a-fA-F]{40}$/.test(to)) {
+            await modalSystem.alert('Enter a valid 0x address or an EB domain.');
+            return;
+        }
         
-        const amount = await modalSystem.prompt('Enter amount in ETH:');
+        const symbol = this.getNativeSymbol();
+        const amount = await modalSystem.prompt('Enter amount to send:');
         if (!amount) return;
         
-        const confirmed = await modalSystem.confirm(`Send ${amount} ETH to ${to}?`);
+        const confirmed = await modalSystem.confirm(toDomain
+            ? `Send ${amount} ${symbol} to ${toDomain}? It currently belongs to ${to}.`
+            : `Send ${amount} ${symbol} to ${to}?`);
         if (!confirmed) return;
         
         try {
-            const result = await ebAPI.wallet.sendTransaction({ to, amount });
+            const result = await ebAPI.wallet.sendTransaction({ to, amount, toDomain });
             if (result.success) {
                 await modalSystem.alert('Transaction sent successfully!');
                 await this.loadWalletData();
@@ -1893,6 +2985,573 @@ class SecureBrowser {
         }
     }
     
+    // ==========================================
+    // MY DOMAINS
+    // ==========================================
+    async loadOwnedDomains() {
+        const domainList = document.getElementById('right-panel-domains');
+        if (!domainList) return;
+        
+        domainList.innerHTML = '<div style="color: #888; padding: 10px;">Loading domains...</div>';
+        
+        try {
+            const result = await ebAPI.domains.getOwned();
+            if (!result.success) {
+                domainList.innerHTML = '';
+                const errorEl = document.createElement('div');
+                errorEl.style.cssText = 'color: #ff3333; padding: 10px;';
+                errorEl.textContent = 'Failed to load domains: ' + result.error;
+                domainList.appendChild(errorEl);
+                return;
+            }
+            this.displayOwnedDomains(result.domains);
+        } catch (error) {
+            console.error('[Web3Panel] Load domains error:', error);
+        }
+    }
+    
+    displayOwnedDomains(domains) {
+        const domainList = document.getElementById('right-panel-domains');
+        if (!domainList) return;
+        
+        if (domains.length === 0) {
+            domainList.innerHTML = '<div style="color: #888; padding: 10px;">This account does not own any EB domains</div>';
+            return;
+        }
+        
+        domainList.innerHTML = '';
+        
+        domains.forEach(domain => {
+            const item = document.createElement('div');
+            item.className = 'token-item';
+            item.style.cssText = 'background: #2a2a2a; padding: 10px; margin-bottom: 10px; border-radius: 5px;';
+            
+            item.innerHTML = `
+                <div class="owned-domain-name" style="font-weight: bold; color: #ff6c2f;"></div>
+                <div class="owned-domain-meta" style="font-size: 11px; color: #666; margin-top: 5px;"></div>
+                <div class="owned-domain-records" style="font-size: 12px; color: #aaa; margin-top: 5px; word-break: break-all;"></div>
+                <div class="owned-domain-form" style="display: none; margin-top: 8px;">
+                    <input type="text" class="domain-record-url" placeholder="url (e.g. https://example.com)">
+                    <input type="text" class="domain-record-ipfs" placeholder="ipfs (CID)">
+                    <input type="text" class="domain-record-ip" placeholder="ip (IPv4 or IPv6)">
+                    <label style="display: block; font-size: 12px; color: #aaa; margin: 5px 0;">
+                        <input type="checkbox" class="domain-record-forward-path"> Forward paths to the url record
+                    </label>
+                    <textarea class="domain-record-subdomains" rows="3" placeholder="Subdomains, one per line: shop = https://shop.example.com"></textarea>
+                    <button class="save-domain-records-btn wallet-btn small-btn">Save Records</button>
+                    <button class="cancel-domain-records-btn wallet-btn small-btn">Cancel</button>
+                </div>
+                <div style="margin-top: 8px;">
+                    <button class="edit-domain-records-btn wallet-btn small-btn">Edit Records</button>
+                    <button class="transfer-domain-btn wallet-btn small-btn">Transfer</button>
+                </div>
+            `;
+            
+            item.querySelector('.owned-domain-name').textContent = domain.domain;
+            item.querySelector('.owned-domain-meta').textContent =
+                `Token #${domain.tokenId} · Registered ${new Date(domain.registeredAt).toLocaleDateString()} · No expiry`;
+            
+            const recordLines = ['url', 'ipfs', 'ip', 'forward-path']
+                .filter(key => domain.records[key])
+                .map(key => `${key}: ${domain.records[key]}`)
+                .concat(Object.entries(domain.subdomains || {})
+                    .map(([label, target]) => `${label}.${domain.domain}: ${target || 'not set'}`));
+            item.querySelector('.owned-domain-records').textContent = recordLines.length > 0 ? recordLines.join('\n') : 'No records set';
+            item.querySelector('.owned-domain-records').style.whiteSpace = 'pre-line';
+            
+            const form = item.querySelector('.owned-domain-form');
+            item.querySelector('.edit-domain-records-btn').onclick = () => {
+                ['url', 'ipfs', 'ip'].forEach(key => {
+                    form.querySelector(`.domain-record-${key}`).value = domain.records[key] || '';
+                });
+                form.querySelector('.domain-record-forward-path').checked = this.forwardsPath(domain.records);
+                form.querySelector('.domain-record-subdomains').value = Object.entries(domain.subdomains || {})
+                    .map(([label, target]) => `${label} = ${target}`)
+                    .join('\n');
+                form.style.display = 'block';
+            };
+            item.querySelector('.cancel-domain-records-btn').onclick = () => {
+                form.style.display = 'none';
+            };
+            item.querySelector('.save-domain-records-btn').onclick = () => this.saveDomainRecords(domain, form);
+            item.querySelector('.transfer-domain-btn').onclick = () => this.transferDomain(domain);
+            
+            domainList.appendChild(item);
+        });
+    }
+    
+    // Path forwarding is off unless the domain's 'forward-path' record turns it on
+    forwardsPath(records) {
+        return /^(true|1|yes|on)$/i.test((records['forward-path'] || '').trim());
+    }
+    
+    async saveDomainRecords(domain, form) {
+        // Each changed record is its own setRecord transaction
+        const changes = ['url', 'ipfs', 'ip']
+            .map(key => ({ key, value: form.querySelector(`.domain-record-${key}`).value.trim() }))
+            .filter(change => change.value !== (domain.records[change.key] || ''));
+        
+        const forwardPath = form.querySelector('.domain-record-forward-path').checked;
+        if (forwardPath !== this.forwardsPath(domain.records)) {
+            changes.push({ key: 'forward-path', value: forwardPath ? 'true' : '' });
+        }
+        
+        // Subdomain lines are "label = target"; each label has its own record plus an entry in 'subdomains'
+        const subdomains = {};
+        for (const line of form.querySelector('.domain-record-subdomains').value.split('\n')) {
+            if (!line.trim()) continue;
+            const separator = line.indexOf('=');
+            if (separator < 1) {
+                if (modalSystem) {
+                    await modalSystem.alert(`Subdomain lines look like "shop = https://shop.example.com": ${line.trim()}`);
+                }
+                return;
+            }
+            subdomains[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+        }
+        
+        const previous = domain.subdomains || {};
+        Object.entries(subdomains)
+            .filter(([label, target]) => target !== previous[label])
+            .forEach(([label, target]) => changes.push({ key: `subdomain:${label}`, value: target }));
+        Object.keys(previous)
+            .filter(label => !(label in subdomains))
+            .forEach(label => changes.push({ key: `subdomain:${label}`, value: '' }));
+        if (Object.keys(subdomains).join(',') !== Object.keys(previous).join(',')) {
+            changes.push({ key: 'subdomains', value: Object.keys(subdomains).join(',') });
+        }
+        
+        if (changes.length === 0) {
+            form.style.display = 'none';
+            return;
+        }
+        
+        for (const change of changes) {
+            const result = await ebAPI.domains.setRecord(domain.tokenId, change.key, change.value);
+            if (!result.success) {
+                if (modalSystem) {
+                    await modalSystem.alert(`Failed to update ${change.key} record: ${result.error}`);
+                }
+                return;
+            }
+        }
+        
+        form.style.display = 'none';
+        if (modalSystem) {
+            await modalSystem.alert('Record update sent. Load your domains again once it confirms.');
+        }
+    }
+    
+    setupDomainRegistration() {
+        const form = document.getElementById('domain-register-form');
+        const registerBtn = document.getElementById('right-panel-register-domain');
+        const nameInput = document.getElementById('register-domain-name');
+        const tldSelect = document.getElementById('register-domain-tld');
+        const checkBtn = document.getElementById('check-domain-availability');
+        const confirmBtn = document.getElementById('confirm-domain-registration');
+        const cancelBtn = document.getElementById('cancel-domain-registration');
+        const quoteEl = document.getElementById('register-domain-quote');
+        if (!form || !registerBtn) return;
+        
+        // Any edit invalidates the quote that was shown
+        const resetQuote = () => {
+            quoteEl.textContent = '';
+            confirmBtn.style.display = 'none';
+        };
+        
+        registerBtn.onclick = () => {
+            form.style.display = 'block';
+            nameInput.focus();
+        };
+        cancelBtn.onclick = () => {
+            form.style.display = 'none';
+            nameInput.value = '';
+            resetQuote();
+        };
+        nameInput.oninput = resetQuote;
+        tldSelect.onchange = resetQuote;
+        checkBtn.onclick = () => this.checkDomainAvailability();
+        confirmBtn.onclick = () => this.registerDomain();
+    }
+    
+    async checkDomainAvailability() {
+        const name = document.getElementById('register-domain-name').value.trim().toLowerCase();
+        const tld = document.getElementById('register-domain-tld').value;
+        const quoteEl = document.getElementById('register-domain-quote');
+        const confirmBtn = document.getElementById('confirm-domain-registration');
+        
+        confirmBtn.style.display = 'none';
+        quoteEl.style.color = '#888';
+        quoteEl.textContent = 'Checking availability...';
+        
+        const result = await ebAPI.domains.getRegistrationQuote(name, tld);
+        if (!result.success) {
+            quoteEl.style.color = '#ff3333';
+            quoteEl.textContent = result.error;
+            return;
+        }
+        
+        const quote = result.quote;
+        if (!quote.supported) {
+            quoteEl.style.color = '#ff3333';
+            quoteEl.textContent = `${quote.tld} domains are not open for registration`;
+            return;
+        }
+        if (!quote.available) {
+            quoteEl.style.color = '#ff3333';
+            quoteEl.textContent = `${quote.domain} is already registered`;
+            return;
+        }
+        
+        const lines = [`${quote.domain} is available`, `Price: ${quote.price} ${quote.symbol} (no expiry)`];
+        if (quote.paymentToken) {
+            lines.push(`Registering asks you to approve ${quote.symbol} spending first, then to confirm the registration.`);
+        }
+        if (quote.protected) {
+            lines.push(`Warning: "${quote.name}" is a protected brand. Registration will fail unless this wallet is authorized to claim it.`);
+        }
+        
+        quoteEl.style.color = quote.protected ? '#ffb84d' : '#4caf50';
+        quoteEl.textContent = lines.join('\n');
+        confirmBtn.style.display = 'inline-block';
+    }
+    
+    async registerDomain() {
+        const name = document.getElementById('register-domain-name').value.trim().toLowerCase();
+        const tld = document.getElementById('register-domain-tld').value;
+        const confirmBtn = document.getElementById('confirm-domain-registration');
+        
+        confirmBtn.disabled = true;
+        try {
+            const result = await ebAPI.domains.register(name, tld);
+            if (!result.success) {
+                if (modalSystem) {
+                    await modalSystem.alert('Registration failed: ' + result.error);
+                }
+                return;
+            }
+            
+            // Reload the domain list once the registration is mined
+            this.pendingRegistration = result.transaction;
+            document.getElementById('cancel-domain-registration').click();
+            if (modalSystem) {
+                await modalSystem.alert('Registration sent. Your new domain will appear under My Domains once it confirms.');
+            }
+        } finally {
+            confirmBtn.disabled = false;
+        }
+    }
+    
+    // Follow the pending registration (including speed-ups) until it settles
+    checkPendingRegistration(activity) {
+        if (!this.pendingRegistration) return;
+        
+        let entry = activity.find(e => e.hash === this.pendingRegistration);
+        while (entry && entry.status === 'replaced' && entry.replacedBy) {
+            this.pendingRegistration = entry.replacedBy;
+            entry = activity.find(e => e.hash === this.pendingRegistration);
+        }
+        
+        if (entry && entry.status !== 'pending') {
+            this.pendingRegistration = null;
+            if (entry.status === 'confirmed') {
+                this.loadOwnedDomains();
+            }
+        }
+    }
+    
+    async transferDomain(domain) {
+        if (!modalSystem) return;
+        
+        const to = await modalSystem.prompt('Enter the address to transfer this domain to:');
+        if (to === null || !to.trim()) return;
+        
+        const result = await ebAPI.domains.transfer(domain.tokenId, to.trim());
+        if (!result.success) {
+            await modalSystem.alert('Failed to transfer domain: ' + result.error);
+            return;
+        }
+        
+        await modalSystem.alert('Transfer sent. The domain leaves this list once it confirms.');
+    }
+    
+    // ==========================================
+    // TOKEN APPROVALS
+    // ==========================================
+    async loadAllowances() {
+        const allowanceList = document.getElementById('right-panel-allowances');
+        if (!allowanceList) return;
+        
+        // Scanning Approval logs can take a while on long chains
+        allowanceList.innerHTML = '<div style="color: #888; padding: 10px;">Checking approvals...</div>';
+        
+        try {
+            const result = await ebAPI.wallet.getAllowances();
+            if (!result.success) {
+                allowanceList.innerHTML = '';
+                const errorEl = document.createElement('div');
+                errorEl.style.cssText = 'color: #ff3333; padding: 10px;';
+                errorEl.textContent = 'Failed to load approvals: ' + result.error;
+                allowanceList.appendChild(errorEl);
+                return;
+            }
+            this.displayAllowances(result.allowances);
+        } catch (error) {
+            console.error('[Web3Panel] Load allowances error:', error);
+        }
+    }
+    
+    displayAllowances(allowances) {
+        const allowanceList = document.getElementById('right-panel-allowances');
+        if (!allowanceList) return;
+        
+        if (allowances.length === 0) {
+            allowanceList.innerHTML = '<div style="color: #888; padding: 10px;">No active token approvals</div>';
+            return;
+        }
+        
+        allowanceList.innerHTML = '';
+        
+        allowances.forEach(allowance => {
+            const item = document.createElement('div');
+            item.className = 'token-item';
+            item.style.cssText = 'background: #2a2a2a; padding: 10px; margin-bottom: 10px; border-radius: 5px; display: flex; justify-content: space-between; align-items: center;';
+            
+            item.innerHTML = `
+                <div>
+                    <div class="allowance-amount" style="font-weight: bold; color: #ff6c2f;"></div>
+                    <div class="allowance-spender" style="font-size: 11px; color: #666; margin-top: 5px; word-break: break-all;"></div>
+                </div>
+                <button class="revoke-allowance-btn" style="background: #ff3333; color: #fff; border: none; padding: 5px 10px; border-radius: 3px; cursor: pointer; font-size: 12px;">
+                    <i class="fas fa-ban"></i> Revoke
+                </button>
+            `;
+            item.querySelector('.allowance-amount').textContent = allowance.unlimited
+                ? `Unlimited ${allowance.token.symbol}`
+                : `${allowance.allowance} ${allowance.token.symbol}`;
+            item.querySelector('.allowance-spender').textContent = `Spender: ${allowance.spender}`;
+            item.querySelector('.revoke-allowance-btn').onclick = () => this.revokeAllowance(allowance);
+            
+            allowanceList.appendChild(item);
+        });
+    }
+    
+    async revokeAllowance(allowance) {
+        const result = await ebAPI.wallet.revokeAllowance(allowance.token.address, allowance.spender);
+        if (!result.success) {
+            if (modalSystem) {
+                await modalSystem.alert('Failed to revoke approval: ' + result.error);
+            }
+            return;
+        }
+        
+        if (modalSystem) {
+            await modalSystem.alert('Revoke transaction sent. Check approvals again once it confirms.');
+        }
+    }
+    
+    // ==========================================
+    // ACTIVITY
+    // ==========================================
+    setupActivity() {
+        const checkAllowancesBtn = document.getElementById('right-panel-check-allowances');
+        if (checkAllowancesBtn) {
+            checkAllowancesBtn.onclick = () => this.loadAllowances();
+        }
+        
+        const loadDomainsBtn = document.getElementById('right-panel-load-domains');
+        if (loadDomainsBtn) {
+            loadDomainsBtn.onclick = () => this.loadOwnedDomains();
+        }
+        
+        this.setupDomainRegistration();
+        
+        // Main process pushes updates when transactions are sent or change status
+        ebAPI.on('wallet-activity-updated', () => this.loadActivity());
+    }
+    
+    async loadActivity() {
+        try {
+            const result = await ebAPI.wallet.getActivity();
+            if (!result.success) {
+                console.error('[Web3Panel] Failed to load activity:', result.error);
+                return;
+            }
+            this.displayActivity(result.activity);
+            this.checkPendingRegistration(result.activity);
+        } catch (error) {
+            console.error('[Web3Panel] Load activity error:', error);
+        }
+    }
+    
+    displayActivity(activity) {
+        const activityList = document.getElementById('right-panel-activity');
+        if (!activityList) return;
+        
+        if (activity.length === 0) {
+            activityList.innerHTML = '<div style="color: #888; padding: 10px;">No transactions yet</div>';
+            return;
+        }
+        
+        const statusColors = {
+            pending: '#ffb84d',
+            confirmed: '#4caf50',
+            failed: '#ff3333',
+            replaced: '#888',
+            dropped: '#888'
+        };
+        
+        activityList.innerHTML = '';
+        const detailRenderers = [];
+        
+        activity.slice(0, 25).forEach(entry => {
+            const item = document.createElement('div');
+            item.className = 'token-item';
+            item.style.cssText = 'background: #2a2a2a; padding: 10px; margin-bottom: 10px; border-radius: 5px;';
+            
+            let statusText = entry.status.charAt(0).toUpperCase() + entry.status.slice(1);
+            if (entry.status === 'confirmed') {
+                statusText += ` (${entry.confirmations}${entry.confirmations >= 12 ? '+' : ''} confirmations)`;
+            }
+            
+            item.innerHTML = `
+                <div style="display: flex; justify-content: space-between; align-items: center;">
+                    <div class="activity-description" style="font-weight: bold; color: #ff6c2f;"></div>
+                    <div style="font-size: 12px; color: ${statusColors[entry.status] || '#888'};">${statusText}</div>
+                </div>
+                <div class="activity-details" style="font-size: 11px; color: #666; margin-top: 5px; word-break: break-all;"></div>
+                <div class="activity-failure" style="font-size: 12px; color: #ff3333; margin-top: 5px;"></div>
+                <div class="activity-actions" style="margin-top: 8px; display: none;">
+                    <button class="speed-up-tx-btn wallet-btn small-btn">Speed Up</button>
+                    <button class="cancel-tx-btn wallet-btn small-btn">Cancel</button>
+                </div>
+            `;
+            
+            item.querySelector('.activity-description').textContent = entry.description || 'Transaction';
+            const showDetails = (names = {}) => {
+                const recipient = entry.to ? names[entry.to.toLowerCase()] : null;
+                item.querySelector('.activity-details').textContent = [
+                    entry.origin,
+                    entry.to
+                        ? `To ${recipient ? recipient + ' ' : ''}${entry.to.slice(0, 6)}...${entry.to.slice(-4)}`
+                        : 'Contract deployment',
+                    `Nonce ${entry.nonce}`,
+                    new Date(entry.timestamp).toLocaleString(),
+                    entry.hash
+                ].filter(Boolean).join(' · ');
+            };
+            showDetails();
+            detailRenderers.push(showDetails);
+            
+            if (entry.failureReason) {
+                item.querySelector('.activity-failure').textContent = entry.failureReason;
+            }
+            
+            if (entry.status === 'pending') {
+                item.querySelector('.activity-actions').style.display = 'block';
+                item.querySelector('.speed-up-tx-btn').onclick = () => this.speedUpTransaction(entry.hash);
+                item.querySelector('.cancel-tx-btn').onclick = () => this.cancelTransaction(entry.hash);
+            }
+            
+            activityList.appendChild(item);
+        });
+        
+        // Recipients' .guap names arrive after the list is drawn
+        this.lookupDomainNames(activity.slice(0, 25).map(entry => entry.to)).then(names => {
+            detailRenderers.forEach(showDetails => showDetails(names));
+        });
+    }
+    
+    async speedUpTransaction(hash) {
+        const result = await ebAPI.wallet.speedUpTransaction(hash);
+        if (!result.success && modalSystem) {
+            await modalSystem.alert('Failed to speed up transaction: ' + result.error);
+        }
+        await this.loadActivity();
+    }
+    
+    async cancelTransaction(hash) {
+        const result = await ebAPI.wallet.cancelTransaction(hash);
+        if (!result.success && modalSystem) {
+            await modalSystem.alert('Failed to cancel transaction: ' + result.error);
+        }
+        await this.loadActivity();
+    }
+    
+    // ==========================================
+    // CONNECTED SITES
+    // ==========================================
+    async loadConnectedSites() {
+        try {
+            const connections = await ebAPI.wallet.getConnections();
+            this.displayConnectedSites(connections || []);
+        } catch (error) {
+            console.error('[Web3Panel] Load connected sites error:', error);
+        }
+    }
+    
+    displayConnectedSites(connections) {
+        const siteList = document.getElementById('right-panel-connected-sites');
+        if (!siteList) return;
+        
+        if (connections.length === 0) {
+            siteList.innerHTML = '<div style="color: #888; padding: 10px;">No sites connected</div>';
+            return;
+        }
+        
+        siteList.innerHTML = '';
+        
+        connections.forEach(connection => {
+            const siteItem = document.createElement('div');
+            siteItem.className = 'token-item';
+            siteItem.style.cssText = 'background: #2a2a2a; padding: 10px; margin-bottom: 10px; border-radius: 5px; display: flex; justify-content: space-between; align-items: center;';
+            
+            siteItem.innerHTML = `
+                <div>
+                    <div class="connected-site-domain" style="font-weight: bold; color: #ff6c2f; word-break: break-all;"></div>
+                    <div class="connected-site-account" style="font-size: 12px; color: #aaa; margin-top: 5px;"></div>
+                    <div style="font-size: 11px; color: #666; margin-top: 5px;">Connected ${new Date(connection.timestamp).toLocaleString()}</div>
+                </div>
+                <button class="disconnect-site-btn" style="background: #ff3333; color: #fff; border: none; padding: 5px 10px; border-radius: 3px; cursor: pointer; font-size: 12px;">
+                    <i class="fas fa-unlink"></i> Disconnect
+                </button>
+            `;
+            siteItem.querySelector('.connected-site-domain').textContent = connection.domain;
+            siteItem.querySelector('.connected-site-account').textContent = connection.accounts
+                .map(address => {
+                    const account = this.accounts.find(a => a.address.toLowerCase() === address.toLowerCase());
+                    return account ? account.label : `${address.slice(0, 6)}...${address.slice(-4)}`;
+                })
+                .join(', ');
+            siteItem.querySelector('.disconnect-site-btn').onclick = () => this.disconnectSite(connection.domain);
+            
+            siteList.appendChild(siteItem);
+        });
+    }
+    
+    async disconnectSite(domain) {
+        if (!modalSystem) return;
+        
+        const confirmed = await modalSystem.confirm(`Disconnect ${domain} from your wallet?`);
+        if (!confirmed) return;
+        
+        const result = await ebAPI.wallet.revokeConnection(domain);
+        if (!result.success) {
+            await modalSystem.alert('Failed to disconnect site: ' + result.error);
+        }
+        await this.loadConnectedSites();
+    }
+    
+    async disconnectAllSites() {
+        if (!modalSystem) return;
+        
+        const confirmed = await modalSystem.confirm('Disconnect all sites from your wallet?');
+        if (!confirmed) return;
+        
+        await ebAPI.wallet.clearConnections();
+        await this.loadConnectedSites();
+    }
+    
     // ==========================================
     // RIGHT PANEL WALLET SECTION MANAGEMENT
     // ==========================================
@@ -2097,8 +3756,11 @@ class SecureBrowser {
                 return;
             }
             
-            // Import wallet
-            const walletResult = await ebAPI.wallet.restore(privateKey);
+            // Import wallet; 64 hex characters is a raw private key, anything else a mnemonic
+            const isPrivateKey = /^(0x)?[0-9a-fA-F]{64}$/.test(privateKey);
+            const walletResult = isPrivateKey
+                ? await ebAPI.wallet.importPrivateKey(privateKey)
+                : await ebAPI.wallet.restore(privateKey);
             if (!walletResult.success) {
                 errorDiv.textContent = 'Error importing wallet: ' + walletResult.error;
                 return;
@@ -2121,9 +3783,12 @@ class SecureBrowser {
     
     async handleImportProfile() {
         const fileInput = document.getElementById('profile-file');
+        const passphraseInput = document.getElementById('profile-passphrase');
+        const passwordInput = document.getElementById('profile-password');
+        const confirmInput = document.getElementById('profile-password-confirm');
         const errorDiv = document.getElementById('profile-import-error');
         
-        if (!fileInput || !errorDiv) {
+        if (!fileInput || !passphraseInput || !passwordInput || !confirmInput || !errorDiv) {
             console.error('[RightPanel] Required elements not found for profile import');
             return;
         }
@@ -2151,14 +3816,38 @@ class SecureBrowser {
                 return;
             }
             
-            // Validate profile data structure
-            if (!profileData.wallet || !profileData.password) {
-                errorDiv.textContent = 'Invalid profile file - missing required data';
+            // Validate keystore structure (Web3 Secret Storage)
+            if (!profileData || !(profileData.crypto || profileData.Crypto)) {
+                errorDiv.textContent = 'Invalid profile file - not a wallet keystore';
+                return;
+            }
+            
+            if (!passphraseInput.value) {
+                errorDiv.textContent = 'Please enter the keystore passphrase';
+                return;
+            }
+            
+            if (!passwordInput.value || passwordInput.value.length < 8) {
+                errorDiv.textContent = 'Password must be at least 8 characters long';
+                return;
+            }
+            
+            if (passwordInput.value !== confirmInput.value) {
+                errorDiv.textContent = 'Passwords do not match';
+                return;
+            }
+            
+            // Set password first so the imported keys are sealed with it
+            const passwordResult = await ebAPI.password.set(passwordInput.value);
+            if (!passwordResult.success) {
+                errorDiv.textContent = 'Error setting password: ' + passwordResult.error;
                 return;
             }
             
             // Import profile using ebAPI
-            const result = await ebAPI.wallet.importProfile(profileData);
+            errorDiv.textContent = 'Decrypting keystore...';
+            const result = await ebAPI.wallet.importProfile(profileData, passphraseInput.value);
+            errorDiv.textContent = '';
             if (!result.success) {
                 errorDiv.textContent = 'Error importing profile: ' + result.error;
                 return;
@@ -2190,8 +3879,8 @@ class SecureBrowser {
     
     async loadRightPanelWalletData() {
         try {
-            // Auto-connect to GuapcoinX network first
-            await this.connectToGuapcoinX();
+            // Auto-connect to the active network first
+            await this.connectToActiveNetwork();
             
             // Load wallet
             const walletResult = await ebAPI.wallet.load();
@@ -2202,15 +3891,24 @@ class SecureBrowser {
                 }
             }
             
+            // Load accounts
+            await this.loadAccounts();
+            
             // Load balance
             const balanceResult = await ebAPI.wallet.getBalance();
             if (balanceResult.success) {
                 const balanceEl = document.getElementById('right-wallet-balance');
                 if (balanceEl) {
-                    balanceEl.textContent = balanceResult.balance + ' GUAP';
+                    balanceEl.textContent = balanceResult.balance + ' ' + this.getNativeSymbol();
                 }
             }
             
+            // Load activity
+            await this.loadActivity();
+            
+            // Load connected sites
+            await this.loadConnectedSites();
+            
         } catch (error) {
             console.error('[RightPanel] Load wallet data error:', error);
         }
@@ -2248,15 +3946,56 @@ class SecureBrowser {
         }
     }
     
+    showExportProfileForm(show) {
+        const form = document.getElementById('profile-export-form');
+        if (!form) return;
+        
+        form.style.display = show ? 'block' : 'none';
+        ['export-passphrase', 'export-passphrase-confirm', 'profile-export-error'].forEach(id => {
+            const el = document.getElementById(id);
+            if (!el) return;
+            if ('value' in el) {
+                el.value = '';
+            } else {
+                el.textContent = '';
+            }
+        });
+    }
+    
     async exportProfile() {
+        const passphraseInput = document.getElementById('export-passphrase');
+        const confirmInput = document.getElementById('export-passphrase-confirm');
+        const errorDiv = document.getElementById('profile-export-error');
+        
+        if (!passphraseInput || !confirmInput || !errorDiv) {
+            console.error('[RightPanel] Required elements not found for profile export');
+            return;
+        }
+        
+        errorDiv.textContent = '';
+        
+        if (!passphraseInput.value || passphraseInput.value.length < 8) {
+            errorDiv.textContent = 'Passphrase must be at least 8 characters long';
+            return;
+        }
+        
+        if (passphraseInput.value !== confirmInput.value) {
+            errorDiv.textContent = 'Passphrases do not match';
+            return;
+        }
+        
         try {
-            const result = await ebAPI.wallet.exportProfile();
+            errorDiv.textContent = 'Encrypting keystore...';
+            const result = await ebAPI.wallet.exportProfile(passphraseInput.value);
+            errorDiv.textContent = '';
             if (result.success) {
+                this.showExportProfileForm(false);
+                
                 // Create download link
                 const dataStr = JSON.stringify(result.profile, null, 2);
                 const dataUri = 'data:application/json;charset=utf-8,'+ encodeURIComponent(dataStr);
                 
-                const exportFileDefaultName = 'eb-wallet-profile.json';
+                const exportFileDefaultName = `eb-wallet-keystore-${result.profile.address}.json`;
                 
                 const linkElement = document.createElement('a');
                 linkElement.setAttribute('href', dataUri);
@@ -2300,6 +4039,103 @@ class SecureBrowser {
         if (settingsPanel) {
             console.log('[SecureBrowser] Settings panel available');
         }
+        
+        const saveIpfsBtn = document.getElementById('save-ipfs-settings');
+        if (saveIpfsBtn) {
+            saveIpfsBtn.addEventListener('click', () => this.saveIpfsSettings());
+            this.loadIpfsSettings();
+        }
+        
+        const startupMode = document.getElementById('startup-mode');
+        const hibernateAfter = document.getElementById('hibernate-after');
+        if (startupMode && hibernateAfter) {
+            startupMode.addEventListener('change', () => this.saveSessionSettings({ startupMode: startupMode.value }));
+            hibernateAfter.addEventListener('change', () => this.saveSessionSettings({ hibernateAfterMinutes: Number(hibernateAfter.value) }));
+            this.loadSessionSettings();
+        }
+    }
+    
+    async loadSessionSettings() {
+        const result = await this.loadTabSettings();
+        if (result.success) {
+            document.getElementById('startup-mode').value = result.settings.startupMode;
+            document.getElementById('hibernate-after').value = String(result.settings.hibernateAfterMinutes);
+        }
+    }
+    
+    async saveSessionSettings(settings) {
+        const result = await ebAPI.session.updateSettings(settings);
+        if (result.success) {
+            this.hibernateAfterMinutes = result.settings.hibernateAfterMinutes;
+        } else {
+            modalSystem.alert(result.error || 'Failed to save setting');
+            this.loadSessionSettings();
+        }
+    }
+    
+    async loadIpfsSettings() {
+        const result = await ebAPI.ipfs.getSettings();
+        if (!result.success) {
+            this.displayIpfsHealth([], result.error);
+            return;
+        }
+        
+        document.getElementById('ipfs-gateways').value = result.settings.gateways.join('\n');
+        document.getElementById('ipfs-local-gateway').value = result.settings.localGateway || '';
+        this.displayIpfsHealth(result.health);
+    }
+    
+    async saveIpfsSettings() {
+        const gateways = document.getElementById('ipfs-gateways').value
+            .split('\n')
+            .map(line => line.trim())
+            .filter(Boolean);
+        const localGateway = document.getElementById('ipfs-local-gateway').value.trim();
+        
+        const result = await ebAPI.ipfs.updateSettings(gateways, localGateway || null);
+        if (!result.success) {
+            this.displayIpfsHealth([], result.error);
+            return;
+        }
+        
+        document.getElementById('ipfs-gateways').value = result.settings.gateways.join('\n');
+        document.getElementById('ipfs-local-gateway').value = result.settings.localGateway || '';
+        this.displayIpfsHealth(result.health, null, 'Gateways saved');
+    }
+    
+    // Gateway health for this session, in the order gateways will be tried
+    displayIpfsHealth(health, error = null, status = null) {
+        const container = document.getElementById('ipfs-gateway-health');
+        if (!container) return;
+        container.innerHTML = '';
+        
+        if (error || status) {
+            const message = document.createElement('p');
+            message.className = 'settings-hint';
+            message.style.color = error ? '#ff6b6b' : '#4caf50';
+            message.textContent = error || status;
+            container.appendChild(message);
+        }
+        
+        health.forEach(gateway => {
+            const row = document.createElement('div');
+            row.style.cssText = 'font-size: 11px; color: #ccc; margin-bottom: 4px; word-break: break-all;';
+            
+            const dot = document.createElement('span');
+            dot.style.color = gateway.failures > 0 && gateway.lastError ? '#ff9800' : (gateway.successes > 0 ? '#4caf50' : '#666');
+            dot.textContent = '● ';
+            
+            const label = document.createElement('span');
+            const latency = gateway.averageMs !== null ? `, ${gateway.averageMs} ms avg` : '';
+            label.textContent = `${gateway.url} (${gateway.successes} ok, ${gateway.failures} failed${latency})`;
+            if (gateway.lastError) {
+                label.title = gateway.lastError;
+            }
+            
+            row.appendChild(dot);
+            row.appendChild(label);
+            container.appendChild(row);
+        });
     }
     
     // ==========================================
@@ -2380,8 +4216,9 @@ class SecureBrowser {
                 }
                 break;
             case 'settings':
-                // Toggle settings panel
+                // Toggle settings panel, refreshing gateway health
                 this.togglePanel('settings');
+                this.loadIpfsSettings();
                 break;
             case 'maintenance':
                 // Show maintenance page
@@ -2511,11 +4348,13 @@ class SecureBrowser {
         }
     }
     
+    getActiveTab() {
+        return this.tabStore.getActive();
+    }
+    
     getActiveWebview() {
-        if (this.activeTabIndex >= 0 && this.tabs[this.activeTabIndex]) {
-            return this.tabs[this.activeTabIndex].webview;
-        }
-        return null;
+        const activeTab = this.getActiveTab();
+        return activeTab ? activeTab.webview : null;
     }
     
     // ==========================================
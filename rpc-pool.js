@@ -0,0 +1,263 @@
+const { ethers } = require('ethers');
+
+// How often endpoints are probed for chain ID, block height and latency
+const HEALTH_CHECK_INTERVAL = 30000;
+
+// Pools nobody has sent a request through for this long stop probing until used again
+const IDLE_TIMEOUT = 10 * 60 * 1000;
+
+// A request slower than this fails over to the next endpoint
+const REQUEST_TIMEOUT = 10000;
+
+// Endpoints further than this behind the highest block seen are ranked after in-sync ones
+const MAX_BLOCK_LAG = 5;
+
+// A failed endpoint is ranked last for this long unless a probe shows it has recovered
+const FAILURE_COOLDOWN = 60000;
+
+// One pool per chain, so the domain resolver and the wallet share endpoint health
+const pools = new Map();
+
+// ethers provider that sends every JSON-RPC payload through a pool
+class RpcPoolProvider extends ethers.JsonRpcProvider {
+    constructor(pool, network, options) {
+        super(pool.urls[0], network, options);
+        this.pool = pool;
+    }
+
+    async _send(payload) {
+        return this.pool.send(payload);
+    }
+}
+
+class RpcPool {
+    constructor(network) {
+        this.chainId = Number(BigInt(network.chainId));
+        this.name = network.name;
+        this.endpoints = new Map();
+        this.setUrls(network.rpcUrls);
+
+        // Calls issued in the same tick go out as a single JSON-RPC batch
+        this.provider = new RpcPoolProvider(this, { chainId: this.chainId, name: network.name }, {
+            staticNetwork: true,
+            batchMaxCount: 50,
+            batchStallTime: 10
+        });
+
+        this.lastUsedAt = Date.now();
+        this.lastProbeAt = null;
+        this.probing = null;
+        this.timer = setInterval(() => {
+            if (Date.now() - this.lastUsedAt < IDLE_TIMEOUT) {
+                this.probe();
+            }
+        }, HEALTH_CHECK_INTERVAL);
+    }
+
+    // Shared pool for a registry network, picking up edits to its RPC URLs
+    static forNetwork(network) {
+        const chainId = Number(BigInt(network.chainId));
+        let pool = pools.get(chainId);
+
+        if (pool) {
+            pool.name = network.name;
+            pool.setUrls(network.rpcUrls);
+        } else {
+            pool = new RpcPool(network);
+            pools.set(chainId, pool);
+        }
+        return pool;
+    }
+
+    // Apply edited RPC URLs to a network's pool, if it has one
+    static updateNetwork(network) {
+        const pool = pools.get(Number(BigInt(network.chainId)));
+        if (pool) {
+            pool.name = network.name;
+            pool.setUrls(network.rpcUrls);
+        }
+    }
+
+    // Replace the endpoint list, keeping health for URLs that are still configured
+    setUrls(rpcUrls) {
+        // Requests are plain HTTP POSTs, so WebSocket endpoints cannot join the pool
+        const urls = [...new Set(rpcUrls.filter(url => /^https?:\/\//i.test(url)))];
+        if (urls.length === 0) {
+            throw new Error(`${this.name} has no HTTP RPC endpoints`);
+        }
+
+        this.urls = urls;
+        this.endpoints = new Map(urls.map(url => [url, this.endpoints.get(url) || {
+            healthy: null,
+            wrongChain: false,
+            latencyMs: null,
+            blockNumber: null,
+            lastError: null,
+            lastFailureAt: null
+        }]));
+    }
+
+    // Endpoints best first: right chain, reachable, in sync, then fastest
+    getRankedUrls() {
+        const bestBlock = this.getBestBlock();
+        const now = Date.now();
+        const rank = url => {
+            const health = this.endpoints.get(url);
+            if (health.wrongChain) return 3;
+            if (health.healthy === false && now - health.lastFailureAt < FAILURE_COOLDOWN) return 2;
+            if (health.blockNumber !== null && bestBlock - health.blockNumber > MAX_BLOCK_LAG) return 1;
+            return 0;
+        };
+        const latency = url => {
+            const health = this.endpoints.get(url);
+            return health.latencyMs === null ? REQUEST_TIMEOUT : health.latencyMs;
+        };
+
+        // Stable sort keeps the configured order between equally ranked endpoints
+        return [...this.urls].sort((a, b) => rank(a) - rank(b) || latency(a) - latency(b));
+    }
+
+    // Highest block any endpoint reported
+    getBestBlock() {
+        return Math.max(0, ...[...this.endpoints.values()].map(health => health.blockNumber || 0));
+    }
+
+    // Endpoint requests go to first, or null when none is usable
+    getActiveUrl() {
+        const url = this.getRankedUrls()[0];
+        const health = this.endpoints.get(url);
+        return health.healthy !== false && !health.wrongChain ? url : null;
+    }
+
+    // Track whether an endpoint's last request got through
+    recordResult(url, error = null) {
+        const health = this.endpoints.get(url);
+        if (!health) {
+            return;
+        }
+
+        health.healthy = !error;
+        health.lastError = error;
+        if (error) {
+            health.lastFailureAt = Date.now();
+        }
+    }
+
+    // POST a JSON-RPC payload to one endpoint
+    async request(url, payload) {
+        try {
+            const request = new ethers.FetchRequest(url);
+            request.body = JSON.stringify(payload);
+            request.setHeader('content-type', 'application/json');
+            request.timeout = REQUEST_TIMEOUT;
+
+            const response = await request.send();
+            response.assertOk();
+            this.recordResult(url);
+
+            const body = response.bodyJson;
+            return Array.isArray(body) ? body : [body];
+        } catch (error) {
+            this.recordResult(url, error.shortMessage || error.message);
+            throw error;
+        }
+    }
+
+    // Send through the best endpoint, retrying on the next one when a request fails in transit;
+    // endpoints serving a different chain are never asked
+    async send(payload) {
+        this.lastUsedAt = Date.now();
+        let lastError = new Error(`No ${this.name} RPC endpoint is on the expected chain`);
+
+        for (const url of this.getRankedUrls().filter(url => !this.endpoints.get(url).wrongChain)) {
+            try {
+                return await this.request(url, payload);
+            } catch (error) {
+                console.error(`RpcPool: ${this.name} endpoint ${url} failed:`, error.shortMessage || error.message);
+                lastError = error;
+            }
+        }
+        throw lastError;
+    }
+
+    // Check every endpoint's chain ID, block height and latency
+    probe() {
+        if (this.probing) {
+            return this.probing;
+        }
+
+        this.probing = Promise.all(this.urls.map(async url => {
+            const started = Date.now();
+            try {
+                const results = await this.request(url, [
+                    { jsonrpc: '2.0', id: 1, method: 'eth_chainId', params: [] },
+                    { jsonrpc: '2.0', id: 2, method: 'eth_blockNumber', params: [] }
+                ]);
+                const chainId = results.find(result => result.id === 1);
+                const blockNumber = results.find(result => result.id === 2);
+                if (!chainId || !blockNumber || chainId.error || blockNumber.error) {
+                    throw new Error('Invalid response to health check');
+                }
+
+                const health = this.endpoints.get(url);
+                if (!health) {
+                    return;
+                }
+                health.latencyMs = Date.now() - started;
+                health.blockNumber = Number(BigInt(blockNumber.result));
+                health.wrongChain = Number(BigInt(chainId.result)) !== this.chainId;
+                if (health.wrongChain) {
+                    health.lastError = `Serves chain ID ${Number(BigInt(chainId.result))}, expected ${this.chainId}`;
+                }
+            } catch (error) {
+                this.recordResult(url, error.shortMessage || error.message);
+            }
+        })).finally(() => {
+            this.lastProbeAt = Date.now();
+            this.probing = null;
+        });
+
+        return this.probing;
+    }
+
+    // Probe, then fail unless an endpoint on the right chain answered
+    async connect() {
+        this.lastUsedAt = Date.now();
+        await this.probe();
+
+        if (!this.getActiveUrl()) {
+            const errors = this.urls.map(url => `${url}: ${this.endpoints.get(url).lastError}`);
+            throw new Error(`No ${this.name} RPC endpoint is reachable (${errors.join('; ')})`);
+        }
+        return this.provider;
+    }
+
+    // Endpoint health for the Web3 panel, refreshed when the last probe is stale
+    async getStatus() {
+        this.lastUsedAt = Date.now();
+        if (!this.lastProbeAt || Date.now() - this.lastProbeAt > HEALTH_CHECK_INTERVAL) {
+            await this.probe();
+        }
+
+        const bestBlock = this.getBestBlock();
+        return {
+            chainId: ethers.toQuantity(this.chainId),
+            name: this.name,
+            activeUrl: this.getActiveUrl(),
+            endpoints: this.getRankedUrls().map(url => {
+                const health = this.endpoints.get(url);
+                return {
+                    url,
+                    healthy: health.healthy !== false && !health.wrongChain,
+                    latencyMs: health.latencyMs,
+                    blockNumber: health.blockNumber,
+                    blocksBehind: health.blockNumber === null ? null : bestBlock - health.blockNumber,
+                    lagging: health.blockNumber !== null && bestBlock - health.blockNumber > MAX_BLOCK_LAG,
+                    lastError: health.lastError
+                };
+            })
+        };
+    }
+}
+
+module.exports = RpcPool;
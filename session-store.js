@@ -0,0 +1,204 @@
+const Store = require('electron-store');
+const { app } = require('electron');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+// What a new launch opens: the previous session's tabs, or a single landing page
+const STARTUP_MODES = ['continue', 'landing'];
+
+// Minutes a background tab may sit idle before it is hibernated; with 0 tabs only hibernate under memory pressure
+const HIBERNATE_AFTER_OPTIONS = [0, 5, 15, 30, 60, 120];
+
+// Limits on what a window snapshot may hold
+const MAX_TABS_PER_WINDOW = 100;
+const MAX_HISTORY_ENTRIES = 50;
+const MAX_TITLE_LENGTH = 300;
+const MAX_URL_LENGTH = 4096;
+
+// Closed tabs and windows kept for reopening, newest first
+const MAX_RECENTLY_CLOSED = 25;
+
+class SessionStore {
+    constructor() {
+        this.store = new Store({
+            name: 'eb-session',
+            cwd: app.getPath('userData')
+        });
+
+        // Snapshots from the previous launch, set aside by begin()
+        this.previous = [];
+        this.crashed = false;
+
+        // Closed tabs and windows for this run only
+        this.recentlyClosed = [];
+        this.nextClosedId = 1;
+    }
+
+    getSettings() {
+        return {
+            startupMode: this.store.get('startupMode', 'landing'),
+            hibernateAfterMinutes: this.store.get('hibernateAfterMinutes', 30)
+        };
+    }
+
+    // Settings left undefined keep their current value
+    updateSettings({ startupMode, hibernateAfterMinutes } = {}) {
+        if (startupMode !== undefined && !STARTUP_MODES.includes(startupMode)) {
+            throw new Error('Invalid startup mode');
+        }
+        if (hibernateAfterMinutes !== undefined && !HIBERNATE_AFTER_OPTIONS.includes(hibernateAfterMinutes)) {
+            throw new Error('Invalid hibernation time');
+        }
+
+        if (startupMode !== undefined) {
+            this.store.set('startupMode', startupMode);
+        }
+        if (hibernateAfterMinutes !== undefined) {
+            this.store.set('hibernateAfterMinutes', hibernateAfterMinutes);
+        }
+        return this.getSettings();
+    }
+
+    // Start a new launch: set the last session aside and note whether it ended cleanly
+    begin() {
+        this.crashed = this.store.get('running', false);
+        this.previous = Object.values(this.store.get('windows', {}))
+            .filter(snapshot => snapshot.tabs.length > 0)
+            .sort((a, b) => a.savedAt - b.savedAt);
+
+        this.store.set('windows', {});
+        this.store.set('running', true);
+
+        return { crashed: this.crashed, windows: this.previous };
+    }
+
+    // Record a clean shutdown so the next launch does not offer a crash restore
+    end() {
+        this.store.set('running', false);
+    }
+
+    // Replace the snapshot for one open window
+    saveWindow(windowId, snapshot, bounds = null) {
+        const windows = this.store.get('windows', {});
+        windows[windowId] = { ...this.sanitize(snapshot), bounds, savedAt: Date.now() };
+        this.store.set('windows', windows);
+    }
+
+    // Forget a window the user closed while others stay open
+    removeWindow(windowId) {
+        const windows = this.store.get('windows', {});
+        delete windows[windowId];
+        this.store.set('windows', windows);
+    }
+
+    // Forget every window, e.g. when a fresh window replaces a closed one
+    clearWindows() {
+        this.store.set('windows', {});
+    }
+
+    // Remember a closed tab, with its back/forward entries
+    recordClosedTab(state) {
+        const { tabs } = this.sanitize({ tabs: [state], activeIndex: 0 });
+        if (tabs.length > 0) {
+            this.pushClosed({ type: 'tab', tab: tabs[0] });
+        }
+    }
+
+    // Remember a closed window from its last snapshot
+    recordClosedWindow(windowId) {
+        const snapshot = this.store.get('windows', {})[windowId];
+        if (snapshot && snapshot.tabs.length > 0) {
+            this.pushClosed({ type: 'window', session: snapshot });
+        }
+    }
+
+    pushClosed(entry) {
+        this.recentlyClosed.unshift({ ...entry, id: this.nextClosedId++, closedAt: Date.now() });
+        this.recentlyClosed = this.recentlyClosed.slice(0, MAX_RECENTLY_CLOSED);
+    }
+
+    // Newest first, without the saved tab state
+    getRecentlyClosed() {
+        return this.recentlyClosed.map(entry => {
+            const tab = entry.type === 'tab' ? entry.tab : entry.session.tabs[entry.session.activeIndex];
+            return {
+                id: entry.id,
+                type: entry.type,
+                title: tab.title || tab.url,
+                url: tab.url,
+                tabCount: entry.type === 'tab' ? 1 : entry.session.tabs.length,
+                closedAt: entry.closedAt
+            };
+        });
+    }
+
+    // Remove and return an entry, the most recent one when no ID is given
+    takeRecentlyClosed(id = null) {
+        const index = id === null ? 0 : this.recentlyClosed.findIndex(entry => entry.id === id);
+        if (index === -1 || index >= this.recentlyClosed.length) {
+            return null;
+        }
+        return this.recentlyClosed.splice(index, 1)[0];
+    }
+
+    clearRecentlyClosed() {
+        this.recentlyClosed = [];
+    }
+
+    // Web pages, EB domains and the browser's own pages; anything else is dropped
+    isRestorableUrl(url) {
+        if (typeof url !== 'string' || url.length > MAX_URL_LENGTH) {
+            return false;
+        }
+
+        try {
+            const parsed = new URL(url);
+            if (['http:', 'https:', 'eb:'].includes(parsed.protocol)) {
+                return true;
+            }
+            return parsed.protocol === 'file:' && parsed.href.startsWith(pathToFileURL(__dirname + path.sep).href);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Keep only well-formed tabs with restorable URLs
+    sanitize(snapshot) {
+        const source = snapshot && Array.isArray(snapshot.tabs) ? snapshot.tabs : [];
+        const activeIndex = snapshot ? Number(snapshot.activeIndex) : 0;
+        const tabs = [];
+        let restoredActive = 0;
+
+        source.slice(0, MAX_TABS_PER_WINDOW).forEach((tab, index) => {
+            if (!tab || !this.isRestorableUrl(tab.url)) {
+                return;
+            }
+
+            // A history list that does not check out falls back to just the current page
+            const validHistory = Array.isArray(tab.history) &&
+                tab.history.length <= MAX_HISTORY_ENTRIES &&
+                tab.history.every(url => this.isRestorableUrl(url)) &&
+                Number.isInteger(tab.historyIndex) &&
+                tab.history[tab.historyIndex] === tab.url;
+            const history = validHistory ? tab.history : [tab.url];
+            const historyIndex = validHistory ? tab.historyIndex : 0;
+
+            if (index === activeIndex) {
+                restoredActive = tabs.length;
+            }
+            tabs.push({
+                url: tab.url,
+                title: typeof tab.title === 'string' ? tab.title.slice(0, MAX_TITLE_LENGTH) : '',
+                pinned: tab.pinned === true,
+                scrollX: Math.max(0, Math.round(Number(tab.scrollX)) || 0),
+                scrollY: Math.max(0, Math.round(Number(tab.scrollY)) || 0),
+                history,
+                historyIndex
+            });
+        });
+
+        return { tabs, activeIndex: restoredActive };
+    }
+}
+
+module.exports = SessionStore;
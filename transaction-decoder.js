@@ -0,0 +1,222 @@
+const { ethers } = require('ethers');
+
+// EB domains registry, the same contract the domain resolver reads from
+const EB_DOMAINS_ADDRESS = '0xcDfA7c728Bd1167279b2D60B7380AF02BDC1E878';
+
+const ERC20_ABI = [
+    'function transfer(address to, uint256 amount) returns (bool)',
+    'function approve(address spender, uint256 amount) returns (bool)',
+    'function transferFrom(address from, address to, uint256 amount) returns (bool)',
+    'function increaseAllowance(address spender, uint256 addedValue) returns (bool)',
+    'function symbol() view returns (string)',
+    'function decimals() view returns (uint8)',
+    'function totalSupply() view returns (uint256)'
+];
+
+// Approvals at or above this are treated as unlimited (covers MaxUint256 and 2^255 variants)
+const UNLIMITED_APPROVAL_THRESHOLD = 2n ** 255n;
+
+class TransactionDecoder {
+    constructor() {
+        this.erc20 = new ethers.Interface(ERC20_ABI);
+        this.domains = new ethers.Interface(require('./v7_abi.json'));
+    }
+
+    // Decode calldata against the EB domains ABI (for that contract) or ERC-20
+    decodeCalldata(to, data) {
+        if (!data || data === '0x') {
+            return null;
+        }
+
+        const isDomainsContract = typeof to === 'string' && to.toLowerCase() === EB_DOMAINS_ADDRESS.toLowerCase();
+        const candidates = isDomainsContract
+            ? [{ name: 'EB Domains', iface: this.domains }]
+            : [{ name: 'ERC-20', iface: this.erc20 }];
+
+        for (const candidate of candidates) {
+            try {
+                const parsed = candidate.iface.parseTransaction({ data });
+                if (parsed) {
+                    return {
+                        contract: candidate.name,
+                        method: parsed.name,
+                        signature: parsed.signature,
+                        params: parsed.fragment.inputs,
+                        args: parsed.args
+                    };
+                }
+            } catch (error) {
+                // Selector matched but arguments did not decode; fall through to unknown
+            }
+        }
+
+        return {
+            contract: isDomainsContract ? 'EB Domains' : null,
+            method: null,
+            signature: `Unknown method (${data.slice(0, 10)})`,
+            params: [],
+            args: []
+        };
+    }
+
+    // Symbol, decimals and supply for an ERC-20 contract, preferring the wallet's saved tokens
+    async getTokenInfo(provider, address, knownTokens = []) {
+        const known = knownTokens.find(t => t.address.toLowerCase() === address.toLowerCase());
+        const contract = new ethers.Contract(address, ERC20_ABI, provider);
+
+        const info = {
+            symbol: known ? known.symbol : null,
+            decimals: known ? Number(known.decimals) : null,
+            totalSupply: null
+        };
+
+        try {
+            if (info.symbol === null) info.symbol = await contract.symbol();
+            if (info.decimals === null) info.decimals = Number(await contract.decimals());
+            info.totalSupply = await contract.totalSupply();
+        } catch (error) {
+            console.error('Error loading token info for confirmation:', error.message);
+        }
+
+        return info;
+    }
+
+    // Human-readable argument value
+    formatArgument(param, value, token, names = {}) {
+        if (typeof value === 'bigint' && /amount|value/i.test(param.name) && value >= UNLIMITED_APPROVAL_THRESHOLD) {
+            return `Unlimited${token && token.symbol ? ' ' + token.symbol : ''}`;
+        }
+        if (token && param.type === 'uint256' && /amount|value/i.test(param.name)) {
+            if (token.decimals !== null) {
+                return `${ethers.formatUnits(value, token.decimals)} ${token.symbol || ''}`.trim();
+            }
+        }
+        if (param.type === 'address' && typeof value === 'string') {
+            return this.formatAddress(value, names);
+        }
+        if (typeof value === 'bigint') {
+            return value.toString();
+        }
+        if (typeof value === 'string' && ethers.isHexString(value) && value.length > 74) {
+            return `${value.slice(0, 66)}… (${(value.length - 2) / 2} bytes)`;
+        }
+        if (Array.isArray(value)) {
+            return JSON.stringify(value.map(v => (typeof v === 'bigint' ? v.toString() : v)));
+        }
+        return String(value);
+    }
+
+    // Address followed by its EB domain name, when it has one
+    formatAddress(address, names = {}) {
+        const name = names[address.toLowerCase()];
+        return name ? `${address} (${name})` : address;
+    }
+
+    // Whether an approval amount is effectively unlimited
+    isUnlimitedAllowance(amount, totalSupply = null) {
+        return amount >= UNLIMITED_APPROVAL_THRESHOLD || (totalSupply !== null && amount > totalSupply);
+    }
+
+    // Dry-run the transaction with eth_call; returns the revert reason or null
+    async simulate(provider, request) {
+        try {
+            await provider.call(request);
+            return null;
+        } catch (error) {
+            return error.reason || error.shortMessage || error.message;
+        }
+    }
+
+    // Build the confirmation summary for a transaction request
+    // resolveNames(addresses) maps lowercase addresses to EB domain names for display
+    async summarize(request, { provider, from, symbol = 'GUAP', knownTokens = [], resolveNames = null }) {
+        const to = request.to || null;
+        const data = request.data || '0x';
+        const value = BigInt(request.value || 0);
+        const warnings = [];
+        const decoded = this.decodeCalldata(to, data);
+
+        let names = {};
+        if (resolveNames) {
+            const addresses = [from, to, ...(decoded ? decoded.params
+                .map((param, index) => (param.type === 'address' ? decoded.args[index] : null))
+                .filter(Boolean) : [])];
+            try {
+                names = await resolveNames(addresses.filter(address => ethers.isAddress(address)));
+            } catch (error) {
+                console.error('Error resolving names for confirmation:', error.message);
+            }
+        }
+
+        const lines = [
+            `From: ${ethers.isAddress(from) ? this.formatAddress(from, names) : from}`,
+            `To: ${to ? this.formatAddress(to, names) : 'New contract'}`,
+            `Value: ${ethers.formatEther(value)} ${symbol}`
+        ];
+
+        // Decoded action
+        if (decoded) {
+            const token = decoded.contract === 'ERC-20' && provider
+                ? await this.getTokenInfo(provider, to, knownTokens)
+                : null;
+
+            lines.push('', `Action: ${decoded.contract ? decoded.contract + ' ' : ''}${decoded.method || decoded.signature}`);
+            decoded.params.forEach((param, index) => {
+                lines.push(`  ${param.name || `arg${index}`}: ${this.formatArgument(param, decoded.args[index], token, names)}`);
+            });
+            if (!decoded.method) {
+                lines.push(`  Data: ${data.length > 138 ? data.slice(0, 138) + '…' : data}`);
+            }
+
+            // Unlimited or supply-exceeding token approvals
+            if (decoded.contract === 'ERC-20' && ['approve', 'increaseAllowance'].includes(decoded.method)) {
+                const amount = decoded.args[1];
+                if (this.isUnlimitedAllowance(amount, token ? token.totalSupply : null)) {
+                    warnings.push(`UNLIMITED APPROVAL: ${decoded.args[0]} will be able to spend all of your ${token && token.symbol ? token.symbol : 'tokens'} at any time.`);
+                }
+            }
+            if (decoded.method === 'setApprovalForAll' && decoded.args[1] === true) {
+                warnings.push(`APPROVAL FOR ALL: ${decoded.args[0]} will be able to transfer every domain you own.`);
+            }
+        }
+
+        if (!provider) {
+            warnings.push('Not connected to a network, so gas and simulation are unavailable.');
+            return { detail: lines.join('\n'), warnings };
+        }
+
+        // Simulation and gas
+        const callRequest = { from, to, data, value };
+        const simulationError = await this.simulate(provider, callRequest);
+        if (simulationError) {
+            warnings.push(`SIMULATION FAILED: ${simulationError}. This transaction will probably revert and still cost gas.`);
+        }
+
+        try {
+            const gasLimit = request.gasLimit !== undefined
+                ? BigInt(request.gasLimit)
+                : await provider.estimateGas(callRequest);
+            const feeData = await provider.getFeeData();
+            const gasPrice = request.maxFeePerGas !== undefined
+                ? BigInt(request.maxFeePerGas)
+                : (request.gasPrice !== undefined ? BigInt(request.gasPrice) : (feeData.maxFeePerGas || feeData.gasPrice || 0n));
+            const fee = gasLimit * gasPrice;
+
+            lines.push(
+                '',
+                `Estimated gas: ${gasLimit.toLocaleString()}`,
+                `Max network fee: ${ethers.formatEther(fee)} ${symbol}`,
+                `Total: ${ethers.formatEther(value + fee)} ${symbol}`
+            );
+        } catch (error) {
+            lines.push('', 'Estimated gas: unavailable');
+            if (!simulationError) {
+                warnings.push(`Gas estimation failed: ${error.shortMessage || error.message}`);
+            }
+        }
+
+        return { detail: lines.join('\n'), warnings };
+    }
+}
+
+module.exports = TransactionDecoder;
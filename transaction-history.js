@@ -0,0 +1,198 @@
+const { ethers } = require('ethers');
+const Store = require('electron-store');
+const { app } = require('electron');
+
+// Mined transactions keep being polled until they are this deep
+const CONFIRMATION_TARGET = 12;
+
+// Oldest entries are dropped once an account has this many
+const MAX_ENTRIES_PER_ACCOUNT = 200;
+
+class TransactionHistory {
+    constructor() {
+        this.store = new Store({
+            name: 'eb-wallet-activity',
+            cwd: app.getPath('userData')
+        });
+    }
+
+    // Activity is grouped by lowercase account address
+    getAll() {
+        return this.store.get('accounts', {});
+    }
+
+    // Activity for an account, newest first, optionally limited to one chain
+    getActivity(address, chainId = null) {
+        if (!address) {
+            return [];
+        }
+
+        const entries = this.getAll()[address.toLowerCase()] || [];
+        return entries
+            .filter(entry => !chainId || entry.chainId === chainId)
+            .sort((a, b) => b.timestamp - a.timestamp);
+    }
+
+    // Look up a single entry by transaction hash
+    getEntry(hash) {
+        const all = this.getAll();
+        for (const entries of Object.values(all)) {
+            const entry = entries.find(e => e.hash === hash);
+            if (entry) {
+                return entry;
+            }
+        }
+        return null;
+    }
+
+    // Record a freshly broadcast ethers TransactionResponse
+    recordTransaction(tx, { kind, description = null, origin = null, replaces = null } = {}) {
+        const optional = value => (value === null || value === undefined ? null : value.toString());
+
+        const entry = {
+            hash: tx.hash,
+            chainId: ethers.toQuantity(tx.chainId),
+            from: tx.from,
+            to: tx.to || null,
+            value: tx.value.toString(),
+            data: tx.data || '0x',
+            nonce: tx.nonce,
+            gasLimit: tx.gasLimit.toString(),
+            gasPrice: optional(tx.gasPrice),
+            maxFeePerGas: optional(tx.maxFeePerGas),
+            maxPriorityFeePerGas: optional(tx.maxPriorityFeePerGas),
+            kind,
+            description,
+            origin,
+            replaces,
+            status: 'pending',
+            confirmations: 0,
+            blockNumber: null,
+            gasUsed: null,
+            failureReason: null,
+            replacedBy: null,
+            timestamp: Date.now()
+        };
+
+        const all = this.getAll();
+        const key = tx.from.toLowerCase();
+        all[key] = [...(all[key] || []), entry].slice(-MAX_ENTRIES_PER_ACCOUNT);
+        this.store.set('accounts', all);
+        return entry;
+    }
+
+    // Merge changes into an entry
+    updateEntry(hash, changes) {
+        const all = this.getAll();
+        for (const key of Object.keys(all)) {
+            const index = all[key].findIndex(e => e.hash === hash);
+            if (index >= 0) {
+                all[key][index] = { ...all[key][index], ...changes };
+                this.store.set('accounts', all);
+                return all[key][index];
+            }
+        }
+        return null;
+    }
+
+    // Entries on a chain that still need polling
+    getTracked(chainId) {
+        return Object.values(this.getAll())
+            .flat()
+            .filter(entry => entry.chainId === chainId &&
+                (entry.status === 'pending' || (entry.status === 'confirmed' && entry.confirmations < CONFIRMATION_TARGET)));
+    }
+
+    // Best-effort revert reason by replaying the call at the block it was mined in
+    async getFailureReason(provider, entry, receipt) {
+        if (receipt.gasUsed.toString() === entry.gasLimit) {
+            return 'Out of gas';
+        }
+
+        try {
+            await provider.call({
+                from: entry.from,
+                to: entry.to,
+                data: entry.data,
+                value: BigInt(entry.value),
+                blockTag: receipt.blockNumber
+            });
+            return 'Transaction reverted';
+        } catch (error) {
+            return error.reason || error.shortMessage || error.message;
+        }
+    }
+
+    // Poll tracked transactions; returns entries that left the pending state
+    async refresh(provider, chainId) {
+        const settled = [];
+        const tracked = this.getTracked(chainId);
+        if (tracked.length === 0) {
+            return settled;
+        }
+
+        const blockNumber = await provider.getBlockNumber();
+
+        for (const entry of tracked) {
+            try {
+                const receipt = await provider.getTransactionReceipt(entry.hash);
+
+                if (receipt) {
+                    const changes = {
+                        status: receipt.status === 1 ? 'confirmed' : 'failed',
+                        blockNumber: receipt.blockNumber,
+                        confirmations: Math.max(blockNumber - receipt.blockNumber + 1, 1),
+                        gasUsed: receipt.gasUsed.toString()
+                    };
+
+                    if (entry.status === 'pending') {
+                        if (changes.status === 'failed') {
+                            changes.failureReason = await this.getFailureReason(provider, entry, receipt);
+                        }
+                        this.markReplaced(entry, chainId);
+                        settled.push({ ...entry, ...changes });
+                    }
+
+                    this.updateEntry(entry.hash, changes);
+                    continue;
+                }
+
+                // Not mined; once the nonce is used elsewhere this transaction can never be
+                if (entry.status === 'pending') {
+                    const nonce = await provider.getTransactionCount(entry.from, 'latest');
+                    if (nonce > entry.nonce) {
+                        // It may have been mined since the receipt check; leave it for the next poll to settle
+                        if (await provider.getTransactionReceipt(entry.hash)) {
+                            continue;
+                        }
+
+                        const replacement = this.getActivity(entry.from, chainId)
+                            .find(e => e.nonce === entry.nonce && e.hash !== entry.hash && e.status !== 'pending');
+                        this.updateEntry(entry.hash, {
+                            status: replacement ? 'replaced' : 'dropped',
+                            replacedBy: replacement ? replacement.hash : null
+                        });
+                    }
+                }
+            } catch (error) {
+                console.error(`Error refreshing transaction ${entry.hash}:`, error.message);
+            }
+        }
+
+        return settled;
+    }
+
+    // Mark other pending transactions that shared a mined transaction's nonce
+    markReplaced(mined, chainId) {
+        this.getActivity(mined.from, chainId)
+            .filter(e => e.nonce === mined.nonce && e.hash !== mined.hash && e.status === 'pending')
+            .forEach(e => this.updateEntry(e.hash, { status: 'replaced', replacedBy: mined.hash }));
+    }
+
+    // Remove all activity (used when the wallet is cleared)
+    clear() {
+        this.store.clear();
+    }
+}
+
+module.exports = TransactionHistory;
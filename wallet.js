@@ -1,16 +1,24 @@
 const { ethers } = require('ethers');
 const Store = require('electron-store');
 const { app } = require('electron');
+const RpcPool = require('./rpc-pool');
+
+// How far back to scan for Approval events when an RPC rejects a full-range log query
+const APPROVAL_LOG_LOOKBACK = 200000;
+const APPROVAL_LOG_CHUNK = 10000;
 
 class WalletManager {
     constructor() {
         this.store = new Store({
             name: 'eb-wallet-data',
             cwd: app.getPath('userData'), // Explicitly set the storage directory
-            encryptionKey: 'eb-wallet-encryption-key-v1' // In production, use a more secure key
+            encryptionKey: 'eb-wallet-encryption-key-v1' // Obfuscation only; secrets are sealed in the keystore below
         });
         this.wallet = null;
+        this.secrets = null; // Decrypted { privateKey, mnemonic }, only held while unlocked
+        this.hdRoot = null; // BIP-32 root node derived from the mnemonic while unlocked
         this.provider = null;
+        this.network = null;
     }
 
     // Generate new wallet with mnemonic
@@ -37,18 +45,317 @@ class WalletManager {
         }
     }
 
-    // Save wallet securely
-    saveWallet(walletData) {
+    // Restore a single-account wallet from a raw private key
+    restoreFromPrivateKey(privateKey) {
+        try {
+            const key = privateKey.trim();
+            const wallet = new ethers.Wallet(key.startsWith('0x') ? key : '0x' + key);
+            return {
+                address: wallet.address,
+                privateKey: wallet.privateKey,
+                mnemonic: null
+            };
+        } catch (error) {
+            throw new Error('Invalid private key');
+        }
+    }
+
+    // Export the active account as a Web3 Secret Storage (V3) keystore JSON
+    async exportKeystore(passphrase) {
+        if (!this.hasWallet()) {
+            throw new Error('No wallet found');
+        }
+        if (!this.secrets) {
+            throw new Error('Wallet is locked');
+        }
+        
+        const account = this.getActiveAccount();
+        const keystoreAccount = {
+            address: account.address,
+            privateKey: this.getAccountPrivateKey(account)
+        };
+        
+        // Include the recovery phrase (ethers x-ethers extension) so other accounts stay derivable
+        if (this.secrets.mnemonic) {
+            keystoreAccount.mnemonic = {
+                entropy: ethers.Mnemonic.fromPhrase(this.secrets.mnemonic).entropy,
+                path: this.getDerivationPath(account.index),
+                locale: 'en'
+            };
+        }
+        
+        return await ethers.encryptKeystoreJson(keystoreAccount, passphrase);
+    }
+
+    // Decrypt a keystore JSON into wallet data plus the account index it was exported from
+    async decryptKeystore(json, passphrase) {
+        if (!ethers.isKeystoreJson(json)) {
+            throw new Error('Not a valid keystore file');
+        }
+        
+        let account;
+        try {
+            account = await ethers.decryptKeystoreJson(json, passphrase);
+        } catch (error) {
+            throw new Error('Incorrect passphrase or corrupted keystore');
+        }
+        
+        // Keystores with a BIP-44 mnemonic restore the full HD wallet
+        const match = account.mnemonic && /^m\/44'\/60'\/0'\/0\/(\d+)$/.exec(account.mnemonic.path || '');
+        if (match && account.mnemonic.entropy) {
+            const index = Number(match[1]);
+            const phrase = ethers.Mnemonic.fromEntropy(account.mnemonic.entropy).phrase;
+            const derived = ethers.HDNodeWallet.fromPhrase(phrase, undefined, this.getDerivationPath(index));
+            if (derived.address === account.address) {
+                return { wallet: this.restoreFromMnemonic(phrase), index };
+            }
+        }
+        
+        return {
+            wallet: { address: account.address, privateKey: account.privateKey, mnemonic: null },
+            index: 0
+        };
+    }
+
+    // Derive accounts up to an index and make it active (used after importing a keystore)
+    activateDerivedAccount(index) {
+        while (this.getAccounts().length <= index) {
+            this.addAccount();
+        }
+        
+        const account = this.getAccounts().find(a => a.index === index);
+        return this.setActiveAccount(account.address);
+    }
+
+    // Save wallet securely, sealing the secrets with the password-derived encryption
+    saveWallet(walletData, encryption) {
+        const secrets = {
+            privateKey: walletData.privateKey,
+            mnemonic: walletData.mnemonic || null
+        };
+        
         this.store.set('wallet', {
             address: walletData.address,
-            privateKey: walletData.privateKey,
-            mnemonic: walletData.mnemonic
+            accounts: [{ index: 0, address: walletData.address, label: 'Account 1' }],
+            keystore: this.sealSecrets(secrets, encryption)
         });
+        this.secrets = secrets;
+        this.hdRoot = null;
+        this.wallet = null;
+    }
+
+    // Encrypt wallet secrets into a keystore record (AES-256-GCM, PBKDF2-SHA256 key)
+    sealSecrets(secrets, encryption) {
+        if (!encryption || !encryption.isUnlocked()) {
+            throw new Error('Wallet is locked');
+        }
+        
+        return {
+            version: 1,
+            cipher: 'aes-256-gcm',
+            kdf: 'pbkdf2-sha256',
+            data: encryption.encrypt(JSON.stringify(secrets))
+        };
+    }
+
+    // Decrypt the stored keystore, accepting the legacy plaintext format
+    readSecrets(encryption) {
+        const stored = this.store.get('wallet');
+        if (!stored) {
+            throw new Error('No wallet found');
+        }
+        
+        if (!stored.keystore) {
+            return { privateKey: stored.privateKey, mnemonic: stored.mnemonic || null };
+        }
+        
+        try {
+            return JSON.parse(encryption.decrypt(stored.keystore.data));
+        } catch (error) {
+            throw new Error('Unable to decrypt wallet keystore');
+        }
+    }
+
+    // Decrypt secrets into memory, migrating legacy plaintext wallets on first unlock
+    unlock(encryption) {
+        if (!this.hasWallet()) {
+            return false;
+        }
+        
+        const secrets = this.readSecrets(encryption);
+        const stored = this.store.get('wallet');
+        
+        if (!stored.keystore) {
+            console.log('Migrating wallet to encrypted keystore');
+            const { privateKey, mnemonic, ...record } = stored;
+            this.store.set('wallet', {
+                ...record,
+                keystore: this.sealSecrets(secrets, encryption)
+            });
+        }
+        
+        this.secrets = secrets;
+        this.hdRoot = null;
+        this.wallet = null;
+        return true;
     }
 
-    // Load saved wallet
+    // Drop decrypted secrets from memory
+    lock() {
+        this.secrets = null;
+        this.hdRoot = null;
+        this.wallet = null;
+    }
+
+    // Check whether secrets are available in memory
+    isUnlocked() {
+        return !!this.secrets;
+    }
+
+    // Re-encrypt the keystore after a password change
+    reencrypt(previousEncryption, nextEncryption) {
+        if (!this.hasWallet()) {
+            return;
+        }
+        
+        const secrets = this.readSecrets(previousEncryption);
+        this.updateStoredWallet({ keystore: this.sealSecrets(secrets, nextEncryption) });
+        this.secrets = secrets;
+    }
+
+    // Merge changes into the stored wallet record
+    updateStoredWallet(changes) {
+        const stored = this.store.get('wallet');
+        if (!stored) {
+            throw new Error('No wallet found');
+        }
+        
+        this.store.set('wallet', { ...stored, ...changes });
+    }
+
+    // Load saved wallet (public data only; address is the active account)
     loadWallet() {
-        return this.store.get('wallet');
+        const stored = this.store.get('wallet');
+        if (!stored) {
+            return undefined;
+        }
+        
+        return {
+            address: stored.address,
+            accounts: this.getAccounts()
+        };
+    }
+
+    // HD Account Management
+
+    // BIP-44 derivation path for an account index
+    getDerivationPath(index) {
+        return `m/44'/60'/0'/0/${index}`;
+    }
+
+    // All accounts in the wallet; wallets saved before multi-account support have one
+    getAccounts() {
+        const stored = this.store.get('wallet');
+        if (!stored) {
+            return [];
+        }
+        
+        return stored.accounts || [{ index: 0, address: stored.address, label: 'Account 1' }];
+    }
+
+    // Find an account by address (case-insensitive)
+    findAccount(address) {
+        if (typeof address !== 'string') {
+            return null;
+        }
+        return this.getAccounts().find(account => account.address.toLowerCase() === address.toLowerCase()) || null;
+    }
+
+    // Account currently selected in the Web3 panel
+    getActiveAccount() {
+        const stored = this.store.get('wallet');
+        if (!stored) {
+            return null;
+        }
+        return this.findAccount(stored.address) || this.getAccounts()[0];
+    }
+
+    // Private key for an account, derived from the mnemonic when there is one
+    getAccountPrivateKey(account) {
+        if (!this.secrets) {
+            throw new Error('Wallet is locked');
+        }
+        
+        if (!this.secrets.mnemonic) {
+            if (account.index !== 0) {
+                throw new Error('Account cannot be derived without a recovery phrase');
+            }
+            return this.secrets.privateKey;
+        }
+        
+        if (!this.hdRoot) {
+            this.hdRoot = ethers.HDNodeWallet.fromPhrase(this.secrets.mnemonic, undefined, 'm');
+        }
+        return this.hdRoot.derivePath(this.getDerivationPath(account.index)).privateKey;
+    }
+
+    // Validate a user-supplied account label
+    normalizeAccountLabel(label) {
+        const trimmed = typeof label === 'string' ? label.trim() : '';
+        if (!trimmed || trimmed.length > 32) {
+            throw new Error('Account label must be 1-32 characters');
+        }
+        return trimmed;
+    }
+
+    // Derive the next account from the mnemonic
+    addAccount(label = null) {
+        if (!this.hasWallet()) {
+            throw new Error('No wallet found');
+        }
+        if (!this.secrets) {
+            throw new Error('Wallet is locked');
+        }
+        if (!this.secrets.mnemonic) {
+            throw new Error('This wallet was imported without a recovery phrase and only has one account');
+        }
+        
+        const accounts = this.getAccounts();
+        const index = Math.max(...accounts.map(account => account.index)) + 1;
+        const privateKey = this.getAccountPrivateKey({ index });
+        const account = {
+            index,
+            address: new ethers.Wallet(privateKey).address,
+            label: label ? this.normalizeAccountLabel(label) : `Account ${index + 1}`
+        };
+        
+        this.updateStoredWallet({ accounts: [...accounts, account] });
+        return account;
+    }
+
+    // Rename an account
+    renameAccount(address, label) {
+        const account = this.findAccount(address);
+        if (!account) {
+            throw new Error('Account not found');
+        }
+        
+        const normalized = this.normalizeAccountLabel(label);
+        const accounts = this.getAccounts().map(a => a.index === account.index ? { ...a, label: normalized } : a);
+        this.updateStoredWallet({ accounts });
+        return { ...account, label: normalized };
+    }
+
+    // Select the account used by the Web3 panel and newly connected sites
+    setActiveAccount(address) {
+        const account = this.findAccount(address);
+        if (!account) {
+            throw new Error('Account not found');
+        }
+        
+        this.updateStoredWallet({ address: account.address, accounts: this.getAccounts() });
+        this.wallet = null;
+        return account;
     }
 
     // Check if wallet exists
@@ -59,48 +366,38 @@ class WalletManager {
     // Clear wallet data
     clearWallet() {
         this.store.delete('wallet');
+        this.secrets = null;
+        this.hdRoot = null;
         this.wallet = null;
     }
 
-    // Connect to GuapcoinX network with fallback support
-    async connectToNetwork(rpcUrl, chainId, fallbackRpcUrl = null) {
+    // Connect to a network given a primary and optional fallback RPC
+    async connectToNetwork(rpcUrl, chainId, fallbackRpcUrl = null, networkName = null) {
+        return this.connectToChain({
+            chainId,
+            name: networkName || `Chain ${parseInt(chainId)}`,
+            rpcUrls: [rpcUrl, fallbackRpcUrl].filter(Boolean)
+        });
+    }
+
+    // Connect to a registry network through its shared RPC pool
+    async connectToChain(network) {
+        if (!network || !Array.isArray(network.rpcUrls) || network.rpcUrls.length === 0) {
+            throw new Error('Invalid network configuration');
+        }
+        
         try {
-            // Try primary RPC first
-            console.log('Attempting to connect to primary RPC:', rpcUrl);
-            this.provider = new ethers.JsonRpcProvider(rpcUrl, {
-                chainId: parseInt(chainId),
-                name: 'GuapcoinX'
-            });
-            
-            // Test the connection
-            try {
-                await this.provider.getBlockNumber();
-                console.log('Successfully connected to primary RPC');
-            } catch (primaryError) {
-                console.error('Primary RPC failed:', primaryError.message);
-                
-                // Try fallback RPC if available
-                if (fallbackRpcUrl) {
-                    console.log('Attempting to connect to fallback RPC:', fallbackRpcUrl);
-                    this.provider = new ethers.JsonRpcProvider(fallbackRpcUrl, {
-                        chainId: parseInt(chainId),
-                        name: 'GuapcoinX'
-                    });
-                    
-                    // Test fallback connection
-                    await this.provider.getBlockNumber();
-                    console.log('Successfully connected to fallback RPC');
-                } else {
-                    throw primaryError;
-                }
-            }
+            // The pool probes every endpoint and fails over between them from here on
+            const pool = RpcPool.forNetwork(network);
+            this.provider = await pool.connect();
+            this.network = network;
+            console.log(`Successfully connected to ${network.name} via`, pool.getActiveUrl());
 
-            const walletData = this.loadWallet();
-            if (walletData && walletData.privateKey) {
-                this.wallet = new ethers.Wallet(walletData.privateKey, this.provider);
-                console.log('Wallet connected to network:', this.wallet.address);
+            this.wallet = null;
+            if (this.secrets) {
+                console.log('Wallet connected to network:', this.getSigner().address);
             } else {
-                console.log('No wallet data found to connect to network');
+                console.log('No unlocked wallet to connect to network');
             }
             return this.provider;
         } catch (error) {
@@ -114,19 +411,13 @@ class WalletManager {
         if (!this.provider) throw new Error('No network connected');
         
         try {
-            // Always load wallet data and create wallet instance with current provider
+            // Balances only need the public address, so they work while locked
             const walletData = this.loadWallet();
-            if (!walletData || !walletData.privateKey) {
+            if (!walletData || !walletData.address) {
                 throw new Error('No wallet found');
             }
             
-            // Create wallet instance if not exists or provider changed
-            if (!this.wallet || this.wallet.provider !== this.provider) {
-                this.wallet = new ethers.Wallet(walletData.privateKey, this.provider);
-                console.log('Wallet instance created for balance check');
-            }
-            
-            const balance = await this.wallet.provider.getBalance(this.wallet.address);
+            const balance = await this.provider.getBalance(walletData.address);
             return ethers.formatEther(balance);
         } catch (error) {
             console.error('Error getting balance:', error);
@@ -139,18 +430,9 @@ class WalletManager {
         if (!this.provider) throw new Error('No network connected');
         
         try {
-            // Always load wallet data and create wallet instance with current provider
-            const walletData = this.loadWallet();
-            if (!walletData || !walletData.privateKey) {
-                throw new Error('No wallet found');
-            }
+            const signer = this.getSigner();
             
-            // Create wallet instance if not exists or provider changed
-            if (!this.wallet || this.wallet.provider !== this.provider) {
-                this.wallet = new ethers.Wallet(walletData.privateKey, this.provider);
-            }
-            
-            const tx = await this.wallet.sendTransaction({
+            const tx = await signer.sendTransaction({
                 to: to,
                 value: ethers.parseEther(amount)
             });
@@ -162,23 +444,204 @@ class WalletManager {
         }
     }
 
-    // Get transaction count
-    async getTransactionCount() {
+    // Get transaction count (defaults to the wallet address)
+    async getTransactionCount(address = null, blockTag = 'latest') {
         if (!this.provider) throw new Error('No network connected');
         
         try {
             const walletData = this.loadWallet();
-            if (!walletData || !walletData.privateKey) {
-                throw new Error('No wallet found');
+            if (!address) {
+                if (!walletData || !walletData.address) {
+                    throw new Error('No wallet found');
+                }
+                address = walletData.address;
             }
             
-            if (!this.wallet || this.wallet.provider !== this.provider) {
-                this.wallet = new ethers.Wallet(walletData.privateKey, this.provider);
+            return await this.provider.getTransactionCount(address, blockTag);
+        } catch (error) {
+            console.error('Error getting transaction count:', error);
+            throw error;
+        }
+    }
+
+    // Get a signer for an account, defaulting to the active one (provider is optional for signing)
+    getSigner(address = null) {
+        if (!this.hasWallet()) {
+            throw new Error('No wallet found');
+        }
+        if (!this.secrets) {
+            throw new Error('Wallet is locked');
+        }
+        
+        const account = address ? this.findAccount(address) : this.getActiveAccount();
+        if (!account) {
+            throw new Error('Account not found in this wallet');
+        }
+        
+        if (!this.wallet || this.wallet.provider !== this.provider || this.wallet.address !== account.address) {
+            this.wallet = new ethers.Wallet(this.getAccountPrivateKey(account), this.provider);
+        }
+        
+        return this.wallet;
+    }
+
+    // Sign a message with the EIP-191 personal prefix (personal_sign)
+    async signMessage(message, address = null) {
+        try {
+            const signer = this.getSigner(address);
+            
+            // Hex-encoded messages are signed as raw bytes, everything else as UTF-8
+            const payload = ethers.isHexString(message) ? ethers.getBytes(message) : message;
+            return await signer.signMessage(payload);
+        } catch (error) {
+            console.error('Error signing message:', error);
+            throw error;
+        }
+    }
+
+    // Sign a 32-byte hash without any prefix (legacy eth_sign)
+    signHash(hash, address = null) {
+        try {
+            if (!ethers.isHexString(hash, 32)) {
+                throw new Error('eth_sign expects a 32-byte hex hash');
             }
             
-            return await this.wallet.getTransactionCount();
+            const signer = this.getSigner(address);
+            return signer.signingKey.sign(hash).serialized;
         } catch (error) {
-            console.error('Error getting transaction count:', error);
+            console.error('Error signing hash:', error);
+            throw error;
+        }
+    }
+
+    // Sign EIP-712 typed data (eth_signTypedData_v3 / v4)
+    async signTypedData(domain, types, message, address = null) {
+        try {
+            const signer = this.getSigner(address);
+            
+            // ethers derives the domain type itself and rejects it if passed in
+            const signingTypes = { ...types };
+            delete signingTypes.EIP712Domain;
+            
+            return await signer.signTypedData(domain, signingTypes, message);
+        } catch (error) {
+            console.error('Error signing typed data:', error);
+            throw error;
+        }
+    }
+
+    // Convert a JSON-RPC transaction object (gas, input) into an ethers request
+    normalizeTransactionRequest(tx) {
+        if (!tx || typeof tx !== 'object') {
+            throw new Error('Invalid transaction object');
+        }
+        
+        const fields = ['from', 'to', 'data', 'value', 'nonce', 'gasPrice', 'maxFeePerGas', 'maxPriorityFeePerGas', 'type', 'chainId'];
+        const request = {};
+        fields.forEach(field => {
+            if (tx[field] !== undefined && tx[field] !== null) {
+                request[field] = tx[field];
+            }
+        });
+        
+        if (tx.gas !== undefined || tx.gasLimit !== undefined) {
+            request.gasLimit = tx.gasLimit !== undefined ? tx.gasLimit : tx.gas;
+        }
+        if (!request.data && tx.input) {
+            request.data = tx.input;
+        }
+        
+        return request;
+    }
+
+    // Execute a read-only call against the connected network
+    async call(tx, blockTag = 'latest') {
+        if (!this.provider) throw new Error('No network connected');
+        
+        try {
+            return await this.provider.call({ ...this.normalizeTransactionRequest(tx), blockTag });
+        } catch (error) {
+            console.error('Error executing call:', error);
+            throw error;
+        }
+    }
+
+    // Estimate gas for a transaction
+    async estimateGas(tx) {
+        if (!this.provider) throw new Error('No network connected');
+        
+        try {
+            const walletData = this.loadWallet();
+            const request = this.normalizeTransactionRequest(tx);
+            if (!request.from && walletData && walletData.address) {
+                request.from = walletData.address;
+            }
+            
+            return await this.provider.estimateGas(request);
+        } catch (error) {
+            console.error('Error estimating gas:', error);
+            throw error;
+        }
+    }
+
+    // Get the current gas price
+    async getGasPrice() {
+        if (!this.provider) throw new Error('No network connected');
+        
+        try {
+            const feeData = await this.provider.getFeeData();
+            return feeData.gasPrice;
+        } catch (error) {
+            console.error('Error getting gas price:', error);
+            throw error;
+        }
+    }
+
+    // Broadcast an already-signed transaction
+    async sendRawTransaction(signedTx) {
+        if (!this.provider) throw new Error('No network connected');
+        
+        try {
+            const tx = await this.provider.broadcastTransaction(signedTx);
+            return tx.hash;
+        } catch (error) {
+            console.error('Error broadcasting transaction:', error);
+            throw error;
+        }
+    }
+
+    // Re-send a pending transaction's nonce with higher fees (speed up) or as an empty self-transfer (cancel)
+    async replaceTransaction(entry, cancel = false) {
+        if (!this.provider) throw new Error('No network connected');
+        
+        try {
+            const signer = this.getSigner(entry.from);
+            const feeData = await this.provider.getFeeData();
+            
+            // Nodes require at least a 10% fee bump to accept a replacement
+            const bumpFee = (previous, current) => {
+                const bumped = BigInt(previous) * 11n / 10n + 1n;
+                return current && current > bumped ? current : bumped;
+            };
+            
+            const request = cancel
+                ? { to: entry.from, value: 0n, data: '0x', gasLimit: 21000n }
+                : { to: entry.to, value: BigInt(entry.value), data: entry.data, gasLimit: BigInt(entry.gasLimit) };
+            request.nonce = entry.nonce;
+            
+            if (entry.maxFeePerGas) {
+                request.maxFeePerGas = bumpFee(entry.maxFeePerGas, feeData.maxFeePerGas);
+                request.maxPriorityFeePerGas = bumpFee(entry.maxPriorityFeePerGas || 0, feeData.maxPriorityFeePerGas);
+                if (request.maxPriorityFeePerGas > request.maxFeePerGas) {
+                    request.maxFeePerGas = request.maxPriorityFeePerGas;
+                }
+            } else {
+                request.gasPrice = bumpFee(entry.gasPrice || 0, feeData.gasPrice);
+            }
+            
+            return await signer.sendTransaction(request);
+        } catch (error) {
+            console.error('Error replacing transaction:', error);
             throw error;
         }
     }
@@ -284,7 +747,7 @@ class WalletManager {
                 name: name,
                 symbol: symbol,
                 decimals: Number(decimals),
-                chainId: 71111
+                chainId: this.network ? Number(BigInt(this.network.chainId)) : 71111
             };
             
             console.log('Token validation successful:', tokenData);
@@ -381,16 +844,7 @@ class WalletManager {
         if (!this.provider) throw new Error('No network connected');
         
         try {
-            // Always load wallet data and create wallet instance with current provider
-            const walletData = this.loadWallet();
-            if (!walletData || !walletData.privateKey) {
-                throw new Error('No wallet found');
-            }
-            
-            // Create wallet instance if not exists or provider changed
-            if (!this.wallet || this.wallet.provider !== this.provider) {
-                this.wallet = new ethers.Wallet(walletData.privateKey, this.provider);
-            }
+            const signer = this.getSigner();
             
             // Get token info
             const tokens = this.getTokens();
@@ -401,7 +855,7 @@ class WalletManager {
             }
             
             // Create contract instance with signer
-            const tokenContract = new ethers.Contract(tokenAddress, this.getERC20ABI(), this.wallet);
+            const tokenContract = new ethers.Contract(tokenAddress, this.getERC20ABI(), signer);
             
             // Convert amount to proper units
             const amountInUnits = ethers.parseUnits(amount, token.decimals);
@@ -421,14 +875,7 @@ class WalletManager {
         if (!this.provider) throw new Error('No network connected');
         
         try {
-            const walletData = this.loadWallet();
-            if (!walletData || !walletData.privateKey) {
-                throw new Error('No wallet found');
-            }
-            
-            if (!this.wallet || this.wallet.provider !== this.provider) {
-                this.wallet = new ethers.Wallet(walletData.privateKey, this.provider);
-            }
+            const signer = this.getSigner();
             
             // Get token info
             const tokens = this.getTokens();
@@ -439,7 +886,7 @@ class WalletManager {
             }
             
             // Create contract instance with signer
-            const tokenContract = new ethers.Contract(tokenAddress, this.getERC20ABI(), this.wallet);
+            const tokenContract = new ethers.Contract(tokenAddress, this.getERC20ABI(), signer);
             
             // Convert amount to proper units (or use MaxUint256 for unlimited approval)
             const amountInUnits = amount === 'unlimited' 
@@ -455,6 +902,44 @@ class WalletManager {
             throw error;
         }
     }
+
+    // Current allowance an owner has granted a spender
+    async getAllowance(tokenAddress, owner, spender) {
+        if (!this.provider) throw new Error('No network connected');
+        
+        const tokenContract = new ethers.Contract(tokenAddress, this.getERC20ABI(), this.provider);
+        return await tokenContract.allowance(owner, spender);
+    }
+
+    // Spenders an owner has approved for a token, from on-chain Approval events
+    async getApprovalSpenders(tokenAddress, owner) {
+        if (!this.provider) throw new Error('No network connected');
+        
+        const approvalEvent = new ethers.Interface([
+            'event Approval(address indexed owner, address indexed spender, uint256 value)'
+        ]).getEvent('Approval');
+        const filter = {
+            address: tokenAddress,
+            topics: [approvalEvent.topicHash, ethers.zeroPadValue(owner, 32)]
+        };
+        
+        let logs;
+        try {
+            logs = await this.provider.getLogs({ ...filter, fromBlock: 0, toBlock: 'latest' });
+        } catch (error) {
+            // Many RPCs cap eth_getLogs ranges, so fall back to recent blocks in chunks
+            console.log('Full-range Approval log query failed, scanning recent blocks:', error.message);
+            const latest = await this.provider.getBlockNumber();
+            const earliest = Math.max(latest - APPROVAL_LOG_LOOKBACK, 0);
+            logs = [];
+            for (let toBlock = latest; toBlock >= earliest; toBlock -= APPROVAL_LOG_CHUNK) {
+                const fromBlock = Math.max(toBlock - APPROVAL_LOG_CHUNK + 1, earliest);
+                logs.push(...await this.provider.getLogs({ ...filter, fromBlock, toBlock }));
+            }
+        }
+        
+        return [...new Set(logs.map(log => ethers.getAddress(ethers.dataSlice(log.topics[2], 12))))];
+    }
 }
 
-module.exports = WalletManager;
\ No newline at end of file
+module.exports = WalletManager;